@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+
+/**
+ * Offline load test for the order execution engine
+ *
+ * Starts the engine in-process on a free port with fast simulated
+ * latencies, submits market orders over HTTP at a fixed rate, follows each
+ * order on its own WebSocket (plus one account-wide stream) and prints a
+ * JSON report: throughput, p50/p95/p99 latency per stage, dropped
+ * WebSocket events and failures. Reports are stable-keyed so two runs can
+ * be compared with any JSON diff.
+ *
+ * Usage: npm run bench -- [--orders 200] [--rate 50] [--split] [--out report.json]
+ * Engine settings (ORDER_CONCURRENCY, CHAIN_SLOT_MS, ...) are read from the
+ * environment as usual; see BENCH_ENGINE_DEFAULTS for what the bench changes.
+ * API_KEYS is ignored: the in-process engine always runs without authentication.
+ * No external dependencies
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Engine settings applied unless already set in the environment
+ * Simulated latencies are cut to 5% and the per-second throughput cap,
+ * queue size and risk limits are lifted, so the engine itself is measured
+ */
+const BENCH_ENGINE_DEFAULTS = {
+  ORDER_STORE: 'memory',
+  SIM_LATENCY_SCALE: '0.05',
+  CHAIN_SLOT_MS: '20',
+  ORDER_RATE_LIMIT: '100000',
+  ORDER_QUEUE_MAX: '100000',
+  SNIPER_AUTO_LAUNCH: '0',
+  RISK_MAX_ORDER_USD: '1000000000',
+  RISK_DAILY_NOTIONAL_USD: '1000000000000',
+  RISK_INITIAL_BALANCES: JSON.stringify({ SOL: 1e9, USDC: 1e12 })
+};
+
+/**
+ * Command line options and their defaults
+ * - orders: number of orders to submit
+ * - rate: submissions per second
+ * - amount: SOL per order; orders alternate SOL→USDC and USDC→SOL so pools stay balanced
+ * - slippage: tolerance sent with every order
+ * - split: request split routing
+ * - timeout: milliseconds to wait for stragglers after the last submission
+ *   (orders still open by then are reported as unfinished)
+ * - out: also write the report to this file
+ * - verbose: keep the engine's console output
+ */
+const DEFAULT_OPTIONS = { orders: 200, rate: 50, amount: 1, slippage: 0.05, split: false, timeout: 30000, out: null, verbose: false };
+
+/**
+ * Parse --name value / --flag arguments over DEFAULT_OPTIONS
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} Options
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in DEFAULT_OPTIONS)) throw new Error(`Unknown option ${argv[i]}`);
+    if (typeof DEFAULT_OPTIONS[name] === 'boolean') {
+      options[name] = true;
+    } else {
+      const value = argv[++i];
+      options[name] = typeof DEFAULT_OPTIONS[name] === 'number' ? Number(value) : value;
+      if (options[name] === undefined || Number.isNaN(options[name])) throw new Error(`Missing value for --${name}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Value at the given percentile (nearest rank)
+ * @param {number[]} sorted - Ascending samples
+ * @param {number} p - Percentile in (0, 100]
+ * @returns {number} Sample value
+ */
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Summarize latency samples in milliseconds
+ * @param {number[]} samples - Latencies in milliseconds
+ * @returns {{count, p50, p95, p99, max}|{count: 0}} Summary rounded to 0.1ms
+ */
+function summarize(samples) {
+  if (samples.length === 0) return { count: 0 };
+  const sorted = [...samples].sort((a, b) => a - b);
+  const round = (ms) => Math.round(ms * 10) / 10;
+  return {
+    count: sorted.length,
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+/**
+ * Send a JSON request to the engine
+ * @param {number} port - Engine port
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {object} [body] - JSON body
+ * @returns {Promise<{status: number, body: object}>} Parsed response
+ */
+function request(port, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : undefined;
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers: { 'Content-Type': 'application/json' } }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(text) });
+        } catch (err) {
+          resolve({ status: res.statusCode, body: { error: text } });
+        }
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Encode a masked client-to-server frame (RFC 6455 section 5.3)
+ * Only used for short control frames, so payloads stay under 126 bytes
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Frame
+ */
+function maskedFrame(opcode, payload) {
+  const mask = crypto.randomBytes(4);
+  const frame = Buffer.alloc(6 + payload.length);
+  frame[0] = 0x80 | opcode;
+  frame[1] = 0x80 | payload.length;
+  mask.copy(frame, 2);
+  for (let i = 0; i < payload.length; i++) frame[6 + i] = payload[i] ^ mask[i % 4];
+  return frame;
+}
+
+/**
+ * Minimal WebSocket client: text messages in, pongs and close frames out
+ * @param {number} port - Engine port
+ * @param {string} path - Request path including query
+ * @param {function(object): void} onMessage - Called with every parsed JSON message
+ * @returns {Promise<{close: function(): void}>} Resolves once the upgrade completes
+ */
+function openWebSocket(port, path, onMessage) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+      }
+    });
+    req.on('response', (res) => reject(new Error(`WebSocket upgrade refused (${res.statusCode})`)));
+    req.on('error', reject);
+    req.on('upgrade', (res, socket, head) => {
+      let buffer = Buffer.alloc(0);
+      const onData = (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        // Server frames are unmasked and never fragmented
+        while (buffer.length >= 2) {
+          const opcode = buffer[0] & 0x0f;
+          let length = buffer[1] & 0x7f;
+          let offset = 2;
+          if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+          } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+          }
+          if (buffer.length < offset + length) return;
+          const payload = buffer.subarray(offset, offset + length);
+          buffer = buffer.subarray(offset + length);
+
+          if (opcode === 0x1) onMessage(JSON.parse(payload.toString()));
+          else if (opcode === 0x9) socket.write(maskedFrame(0xa, payload));
+          else if (opcode === 0x8) socket.end(maskedFrame(0x8, payload.subarray(0, 2)));
+        }
+      };
+      socket.on('data', onData);
+      socket.on('error', () => socket.destroy());
+      if (head.length > 0) onData(head);
+      resolve({
+        close: () => {
+          const code = Buffer.alloc(2);
+          code.writeUInt16BE(1000, 0);
+          if (socket.writable) socket.end(maskedFrame(0x8, code));
+        }
+      });
+    });
+    req.end();
+  });
+}
+
+/**
+ * Submit the orders, follow them to completion and build the report
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<object>} Report
+ */
+async function run(options) {
+  const engine = require('./server-standalone.js');
+  const server = await new Promise((resolve) => {
+    const listening = engine.start(0, () => resolve(listening));
+  });
+  const { port } = server.address();
+
+  // An order is done once nothing more will happen to it: every terminal
+  // status except 'confirmed', which is still followed by 'finalized'
+  const isDone = (status) => engine.TERMINAL_STATUSES.has(status) && status !== 'confirmed';
+
+  const tracked = new Map(); // orderId -> {seqs: Set, socket, done}
+  const streamSeqs = new Map(); // orderId -> Set of seqs seen on the stream
+  const deliveryLag = [];
+  const httpLatency = [];
+  const httpErrors = {};
+  let wsErrors = 0;
+  let remaining = options.orders;
+  let lastDoneAt = 0;
+  let allDone;
+  const finished = new Promise((resolve) => { allDone = resolve; });
+  const markDone = () => {
+    lastDoneAt = Date.now();
+    if (--remaining === 0) allDone();
+  };
+
+  const stream = await openWebSocket(port, '/api/orders/stream', (event) => {
+    deliveryLag.push(Date.now() - Date.parse(event.at));
+    if (!streamSeqs.has(event.orderId)) streamSeqs.set(event.orderId, new Set());
+    streamSeqs.get(event.orderId).add(event.seq);
+  });
+
+  /**
+   * Submit one order and follow it on its own WebSocket
+   * @param {number} index - Order number, alternates the swap direction
+   */
+  const submit = async (index) => {
+    const buy = index % 2 === 1;
+    const body = {
+      type: 'market',
+      tokenIn: buy ? 'USDC' : 'SOL',
+      tokenOut: buy ? 'SOL' : 'USDC',
+      amountIn: buy ? options.amount * 150 : options.amount,
+      slippage: options.slippage,
+      ...(options.split && { split: true })
+    };
+    const sentAt = Date.now();
+    let res;
+    try {
+      res = await request(port, 'POST', '/api/orders/execute', body);
+    } catch (err) {
+      res = { status: 'network_error', body: {} };
+    }
+    httpLatency.push(Date.now() - sentAt);
+    if (res.status !== 200) {
+      const key = res.body.code ? `${res.status} ${res.body.code}` : String(res.status);
+      httpErrors[key] = (httpErrors[key] || 0) + 1;
+      markDone();
+      return;
+    }
+
+    const { orderId } = res.body;
+    const entry = { seqs: new Set(), socket: null, done: false };
+    tracked.set(orderId, entry);
+    try {
+      // lastSeq=0 replays whatever happened before the socket opened
+      entry.socket = await openWebSocket(port, `/api/orders/execute?orderId=${orderId}&lastSeq=0`, (event) => {
+        if (event.seq !== undefined) entry.seqs.add(event.seq);
+        if (!entry.done && isDone(event.status)) {
+          entry.done = true;
+          entry.socket?.close();
+          markDone();
+        }
+      });
+      if (entry.done) entry.socket.close();
+    } catch (err) {
+      wsErrors++;
+      markDone();
+    }
+  };
+
+  // Fire submissions on schedule rather than waiting for each response
+  const startedAt = Date.now();
+  const submissions = [];
+  for (let i = 0; i < options.orders; i++) {
+    const delay = startedAt + (i * 1000) / options.rate - Date.now();
+    if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+    submissions.push(submit(i));
+  }
+  await Promise.all(submissions);
+  const submittedAt = Date.now();
+
+  if (remaining > 0) {
+    await Promise.race([finished, new Promise((resolve) => setTimeout(resolve, options.timeout).unref())]);
+  }
+  // Let the stream catch up with the last events before counting drops
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  stream.close();
+
+  // The REST history is the source of truth for what should have been delivered
+  const stageSamples = Object.fromEntries(engine.METRIC_STAGES.map(({ stage }) => [stage, []]));
+  const statuses = {};
+  const failures = {};
+  const dropped = { orderSocket: 0, stream: 0 };
+  let delivered = 0;
+  let completed = 0;
+  for (const [orderId, entry] of tracked) {
+    const { body: record } = await request(port, 'GET', `/api/orders/${orderId}`);
+    statuses[record.status] = (statuses[record.status] || 0) + 1;
+    if (record.status === 'failed') {
+      const code = record.error?.code || 'UNKNOWN';
+      failures[code] = (failures[code] || 0) + 1;
+    }
+    if (entry.done && ['finalized', 'confirmed', 'partially_filled'].includes(record.status)) completed++;
+
+    for (const { stage, from, to, types } of engine.METRIC_STAGES) {
+      if (types && !types.includes(record.order.type)) continue;
+      const end = to.map((status) => record.stages[status]).find(Boolean);
+      const start = record.stages[from];
+      if (start && end) stageSamples[stage].push(Date.parse(end) - Date.parse(start));
+    }
+
+    const seqs = record.events.map((e) => e.seq).filter((seq) => seq !== undefined);
+    const onStream = streamSeqs.get(orderId) || new Set();
+    for (const seq of seqs) {
+      if (!entry.seqs.has(seq)) dropped.orderSocket++;
+      if (!onStream.has(seq)) dropped.stream++;
+    }
+    delivered += seqs.length;
+  }
+
+  const elapsedSec = (Math.max(lastDoneAt, submittedAt) - startedAt) / 1000;
+  return {
+    config: {
+      orders: options.orders,
+      rate: options.rate,
+      amount: options.amount,
+      slippage: options.slippage,
+      split: options.split,
+      engine: Object.fromEntries(Object.keys(BENCH_ENGINE_DEFAULTS).concat('ORDER_CONCURRENCY')
+        .sort()
+        .map((name) => [name, process.env[name] ?? null]))
+    },
+    throughput: {
+      elapsedSec: Math.round(elapsedSec * 100) / 100,
+      submittedPerSec: Math.round((options.orders / ((submittedAt - startedAt) / 1000 || 1)) * 10) / 10,
+      completedPerSec: Math.round((completed / (elapsedSec || 1)) * 10) / 10
+    },
+    latencyMs: {
+      httpSubmit: summarize(httpLatency),
+      wsDelivery: summarize(deliveryLag),
+      ...Object.fromEntries(Object.entries(stageSamples).map(([stage, samples]) => [stage, summarize(samples)]))
+    },
+    websocket: { eventsExpected: delivered, dropped, connectErrors: wsErrors },
+    outcomes: {
+      completed,
+      unfinished: [...tracked.values()].filter((entry) => !entry.done).length,
+      statuses: sortKeys(statuses),
+      failures: sortKeys(failures),
+      httpErrors: sortKeys(httpErrors)
+    }
+  };
+}
+
+/**
+ * @param {object} obj - Counters
+ * @returns {object} Same counters with keys in alphabetical order
+ */
+function sortKeys(obj) {
+  return Object.fromEntries(Object.entries(obj).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Entry point: configure the engine, run the benchmark, print the report
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(2);
+  }
+
+  for (const [name, value] of Object.entries(BENCH_ENGINE_DEFAULTS)) {
+    if (process.env[name] === undefined) process.env[name] = value;
+  }
+  // The bench sends unsigned requests: the in-process engine runs without
+  // authentication even when API_KEYS is set for the real server
+  delete process.env.API_KEYS;
+  // The engine logs every stage of every order; keep the report readable
+  if (!options.verbose) console.log = () => {};
+
+  const report = await run(options);
+  const text = `${JSON.stringify(report, null, 2)}\n`;
+  process.stdout.write(text);
+  if (options.out) fs.writeFileSync(options.out, text);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error('Benchmark failed:', err);
+  process.exit(1);
+});
@@ -7,351 +7,5223 @@
  */
 
 const http = require('http');
+const https = require('https');
 const url = require('url');
 const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ============ SIMULATION ============
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {string|number} seed - Any seed; strings are hashed first
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+function createRng(seed) {
+  // FNV-1a hash of the seed text gives the 32-bit starting state
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seed for every simulated random value (prices, latencies, tx hashes, ids)
+ * Uses SIM_SEED environment variable; unset means non-deterministic
+ */
+const SIM_SEED = process.env.SIM_SEED;
+
+/**
+ * Generator shared by everything that does not run under a per-order seed
+ */
+const globalRng = SIM_SEED !== undefined ? createRng(SIM_SEED) : null;
+
+/**
+ * Carries a per-order generator through the async calls made for that order
+ * (see processOrder), so venue adapters need no extra parameters
+ */
+const simContext = new AsyncLocalStorage();
+
+/**
+ * @returns {function(): number|null} Generator for the current order, the seeded global one, or null
+ */
+function currentRng() {
+  return simContext.getStore()?.rng || globalRng;
+}
+
+/**
+ * Drop-in replacement for random() that honours SIM_SEED and per-order seeds
+ * @returns {number} Float in [0, 1)
+ */
+function random() {
+  const rng = currentRng();
+  return rng ? rng() : Math.random();
+}
+
+/**
+ * Random hex string; cryptographically random unless a seed is in effect
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex string of 2 × bytes characters
+ */
+function randomHex(bytes) {
+  const rng = currentRng();
+  if (!rng) return crypto.randomBytes(bytes).toString('hex');
+  let hex = '';
+  for (let i = 0; i < bytes; i++) {
+    hex += Math.floor(rng() * 256).toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Bitcoin/Solana base58 alphabet (no 0, O, I, l)
+ */
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Random base58 string shaped like a Solana signature or blockhash
+ * @param {number} bytes - Number of random bytes to encode (64 for a signature, 32 for a blockhash)
+ * @returns {string} Base58 text
+ */
+function randomBase58(bytes) {
+  let value = BigInt(`0x${randomHex(bytes)}`);
+  let text = '';
+  while (value > 0n) {
+    text = BASE58_ALPHABET[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+  return text || BASE58_ALPHABET[0];
+}
+
+/**
+ * RealClock is wall-clock time with ordinary timers
+ */
+class RealClock {
+  now() {
+    return Date.now();
+  }
+
+  setTimeout(fn, ms) {
+    // Parked timers are only special to the virtual clock
+    return setTimeout(fn, ms);
+  }
+
+  clearTimeout(timer) {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * VirtualClock makes simulated delays free
+ *
+ * Time only moves when a timer is due: once the current tick has run, the
+ * clock jumps straight to the earliest pending timer and fires it. Timers
+ * started together (e.g. parallel quotes) therefore still finish in order
+ * of their delays, and a full order lifecycle takes milliseconds.
+ *
+ * Parked timers wait on something from outside the engine (a price cross, a
+ * pool launch) and are never jumped to: they fire once other timers carry
+ * the clock past them, or when advance() moves it on.
+ */
+class VirtualClock {
+  /**
+   * @param {number} start - Initial time in epoch milliseconds
+   */
+  constructor(start) {
+    this.time = start;
+    this.timers = []; // [{at, fn, id, parked}] ordered by due time
+    this.nextId = 1;
+    this.scheduled = false;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  /**
+   * @param {function(): void} fn - Callback
+   * @param {number} ms - Delay in virtual milliseconds
+   * @param {{parked?: boolean}} [options] - parked: never skip ahead to this timer
+   * @returns {number} Timer id
+   */
+  setTimeout(fn, ms, { parked = false } = {}) {
+    const timer = { at: this.time + Math.max(0, Math.round(ms || 0)), fn, id: this.nextId++, parked };
+    // Keep timers sorted by due time, first-come first-served for equal times
+    const index = this.timers.findIndex((t) => t.at > timer.at);
+    this.timers.splice(index === -1 ? this.timers.length : index, 0, timer);
+    this.schedule();
+    return timer.id;
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter((t) => t.id !== id);
+  }
+
+  /**
+   * Advance after the current tick, once everything started in it has registered its timers
+   * Parked timers due earlier than the next unparked one fire on the way
+   */
+  schedule() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    setImmediate(() => {
+      this.scheduled = false;
+      if (!this.timers.some((t) => !t.parked)) return;
+      this.fireNext();
+      this.schedule();
+    });
+  }
+
+  /**
+   * Move the clock to the earliest timer and run it
+   */
+  fireNext() {
+    const timer = this.timers.shift();
+    this.time = Math.max(this.time, timer.at);
+    timer.fn();
+  }
+
+  /**
+   * Move the clock forward, firing every timer due on the way (parked ones included)
+   * Each timer's callback gets a tick to register follow-up timers before the next one fires
+   * @param {number} ms - Virtual milliseconds to move forward
+   * @returns {Promise<number>} The new time
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+    while (this.timers.length > 0 && this.timers[0].at <= target) {
+      this.fireNext();
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    this.time = Math.max(this.time, target);
+    return this.time;
+  }
+}
+
+/**
+ * Clock for every simulated delay and timestamp
+ * SIM_CLOCK=virtual skips the delays; SIM_CLOCK_START (ISO-8601) sets the
+ * virtual start time, otherwise it starts at the real time of boot
+ */
+const clock = process.env.SIM_CLOCK === 'virtual'
+  ? new VirtualClock(process.env.SIM_CLOCK_START ? Date.parse(process.env.SIM_CLOCK_START) : Date.now())
+  : new RealClock();
+
+/**
+ * Multiplier for simulated venue and transaction-building latencies
+ * Uses SIM_LATENCY_SCALE environment variable or defaults to 1; the
+ * benchmark (bench.js) runs with a small fraction to stress the engine itself
+ */
+const SIM_LATENCY_SCALE = parseFloat(process.env.SIM_LATENCY_SCALE || '1');
 
 // ============ UTILITIES ============
 
 /**
- * Pause execution for the specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise} Resolves after the delay
+ * Current time according to the simulation clock
+ * @returns {number} Epoch milliseconds
+ */
+function now() {
+  return clock.now();
+}
+
+/**
+ * Pause execution for the specified milliseconds (of simulation time)
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise((resolve) => clock.setTimeout(resolve, ms));
+}
+
+/**
+ * Wait out a simulated network or processing delay, scaled by SIM_LATENCY_SCALE
+ * @param {number} ms - Nominal delay in milliseconds
+ * @returns {Promise} Resolves after the scaled delay
+ */
+function simulateLatency(ms) {
+  return sleep(ms * SIM_LATENCY_SCALE);
+}
+
+/**
+ * Random tag of this process, part of every order id
+ * Drawn outside SIM_SEED: two seeded runs replaying the same requests would
+ * otherwise issue the same ids, and the second would overwrite the first
+ * run's orders in a file order store
+ */
+const BOOT_NONCE = crypto.randomBytes(3).toString('hex');
+
+/**
+ * Generate a unique identifier combining timestamp, boot nonce and random bytes
+ * Format: {timestamp}-{bootNonce}{randomHex}
+ * @returns {string} Unique ID
+ */
+function uuidv4() {
+  return `${now()}-${BOOT_NONCE}${randomHex(4)}`;
+}
+
+/**
+ * Format a price for events and logs
+ * Six significant digits, so both SOL/USDC (~150) and BONK/SOL (~1e-7) stay readable
+ * @param {number} price - Price to format
+ * @returns {string} Formatted price
+ */
+function formatPrice(price) {
+  return String(Number(price.toPrecision(6)));
+}
+
+/**
+ * Error raised when an order fails for a known business reason
+ * The code and details are forwarded to clients in the 'failed' status
+ */
+class OrderError extends Error {
+  /**
+   * @param {string} code - Machine-readable reason (e.g. 'SLIPPAGE_EXCEEDED')
+   * @param {string} message - Human-readable description
+   * @param {object} details - Structured context for the failure
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'OrderError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise - Operation to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} message - Error message used on timeout
+ * @returns {Promise} Settles like `promise`, or rejects after `ms`
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = clock.setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clock.clearTimeout(timer));
+}
+
+/**
+ * Run an async operation, retrying transient failures with exponential backoff
+ * OrderErrors describe business failures (e.g. slippage) and are never retried
+ * @param {function(number): Promise} fn - Operation to run, receives the attempt number
+ * @param {object} options - {maxAttempts, backoffMs, onRetry(attempt, delayMs, err)}
+ * @returns {Promise} Result of the first successful attempt
+ * @throws {Error} The last error once attempts are exhausted
+ */
+async function withRetry(fn, { maxAttempts = 1, backoffMs = 0, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (err instanceof OrderError || attempt >= maxAttempts) throw err;
+      // Double the delay after every failed attempt: backoff, 2x, 4x, ...
+      const delayMs = backoffMs * 2 ** (attempt - 1);
+      if (onRetry) onRetry(attempt + 1, delayMs, err);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Read a setting that must be a positive integer
+ * Settings like a queue with zero workers or room for zero orders would
+ * accept orders and never run them, and parseInt('abc') is NaN, so bad
+ * values stop the server at startup instead
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value used when the variable is unset
+ * @returns {number} Configured value
+ * @throws {Error} When the variable is set to anything but a positive integer
+ */
+function positiveIntSetting(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer, got '${raw}'`);
+  }
+  return value;
+}
+
+/**
+ * Read a setting where zero is meaningful (no backoff, no tolerance) but
+ * negative or non-numeric values are not
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value used when the variable is unset
+ * @param {{integer?: boolean}} [options] - integer: only whole numbers are accepted
+ * @returns {number} Configured value
+ * @throws {Error} When the variable is set to anything but a non-negative number
+ */
+function nonNegativeSetting(name, fallback, { integer = false } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || (integer && !Number.isInteger(value))) {
+    throw new Error(`${name} must be a non-negative ${integer ? 'integer' : 'number'}, got '${raw}'`);
+  }
+  return value;
+}
+
+// ============ AMM POOLS ============
+
+/**
+ * Reference USD prices used to seed pool reserves
+ * Uses TOKEN_PRICES environment variable (JSON object, merged over the defaults)
+ */
+const TOKEN_PRICES = {
+  SOL: 150,
+  USDC: 1,
+  USDT: 1,
+  BONK: 0.00002,
+  JUP: 0.8,
+  RAY: 2,
+  ...JSON.parse(process.env.TOKEN_PRICES || '{}')
+};
+
+/**
+ * USD price assumed for tokens without a reference price (e.g. freshly launched tokens)
+ */
+const UNLISTED_TOKEN_PRICE = 0.001;
+
+/**
+ * USD value of an amount of a token at its reference price
+ * @param {string} token - Token symbol
+ * @param {number} amount - Token amount
+ * @returns {number} Value in USD
+ */
+function usdValue(token, amount) {
+  return amount * (TOKEN_PRICES[token] || UNLISTED_TOKEN_PRICE);
+}
+
+/**
+ * USD value per side of a pool seeded for a freshly launched token
+ */
+const LAUNCH_POOL_LIQUIDITY_USD = 20000;
+
+/**
+ * Maximum random offset of a new pool's price from the reference price (±1%)
+ * so venues start slightly apart, like real markets
+ */
+const POOL_PRICE_DISPERSION = 0.01;
+
+/**
+ * Explicit starting reserves, keyed by "dex:TOKEN_A/TOKEN_B"
+ * Uses POOL_RESERVES environment variable (JSON), e.g.
+ * {"raydium:SOL/USDC": {"SOL": 10000, "USDC": 1500000}}
+ */
+const POOL_RESERVES = JSON.parse(process.env.POOL_RESERVES || '{}');
+
+/**
+ * Order-independent name of a token pair
+ * @param {string} tokenA - Token symbol
+ * @param {string} tokenB - Token symbol
+ * @returns {string} Pair name, tokens sorted (e.g. "SOL/USDC")
+ */
+function pairKey(tokenA, tokenB) {
+  return [tokenA, tokenB].sort().join('/');
+}
+
+/**
+ * ConstantProductPool simulates an x·y=k AMM pool for one token pair
+ *
+ * The fee is taken from the input and stays in the pool. Prices are
+ * quoted as tokenIn per tokenOut, before fees (lower = better), so that
+ * amountOut = amountIn × (1 - fee) / price, as the router expects.
+ */
+class ConstantProductPool {
+  /**
+   * @param {object} reserves - Token symbol → reserve, for exactly two tokens
+   * @param {number} fee - Swap fee as a fraction (0.003 = 0.3%)
+   */
+  constructor(reserves, fee) {
+    this.fee = fee;
+    this.setReserves(reserves);
+  }
+
+  /**
+   * Replace the pool's reserves
+   * @param {object} reserves - Token symbol → reserve, for exactly two tokens
+   */
+  setReserves(reserves) {
+    this.tokens = Object.keys(reserves);
+    this.reserves = { ...reserves };
+  }
+
+  /**
+   * Reserve used for pricing (real reserve for constant-product pools)
+   * @param {string} token - Token symbol
+   * @returns {number} Reserve
+   */
+  virtualReserve(token) {
+    return this.reserves[token];
+  }
+
+  /**
+   * Price a swap without changing the pool
+   * @param {string} tokenIn - Input token symbol
+   * @param {string} tokenOut - Output token symbol
+   * @param {number} amountIn - Amount of tokenIn
+   * @returns {{amountOut, price, spotPrice, priceImpact}} Swap outcome
+   * @throws {OrderError} INSUFFICIENT_LIQUIDITY if the pool cannot pay out
+   */
+  quote(tokenIn, tokenOut, amountIn) {
+    const x = this.virtualReserve(tokenIn);
+    const y = this.virtualReserve(tokenOut);
+    const effectiveIn = amountIn * (1 - this.fee);
+    const amountOut = y * effectiveIn / (x + effectiveIn);
+    if (!(amountOut < this.reserves[tokenOut])) {
+      throw new OrderError('INSUFFICIENT_LIQUIDITY', `Pool cannot fill ${amountIn} ${tokenIn}`, {
+        amountIn,
+        available: this.reserves[tokenOut]
+      });
+    }
+
+    const spotPrice = x / y;
+    const price = effectiveIn / amountOut;
+    return { amountOut, price, spotPrice, priceImpact: 1 - spotPrice / price };
+  }
+
+  /**
+   * Execute a swap against the pool and update its reserves
+   * @param {string} tokenIn - Input token symbol
+   * @param {string} tokenOut - Output token symbol
+   * @param {number} amountIn - Amount of tokenIn
+   * @returns {{amountOut, price, spotPrice, priceImpact}} Swap outcome
+   */
+  swap(tokenIn, tokenOut, amountIn) {
+    const result = this.quote(tokenIn, tokenOut, amountIn);
+    this.reserves[tokenIn] += amountIn;
+    this.reserves[tokenOut] -= result.amountOut;
+    return result;
+  }
+
+  /**
+   * @returns {object} Reserves and the price of the pair's first token in its second (SOL/USDC → USDC per SOL)
+   */
+  snapshot() {
+    const [base, quote] = [...this.tokens].sort();
+    return {
+      model: 'constant-product',
+      fee: this.fee,
+      reserves: { ...this.reserves },
+      price: formatPrice(this.virtualReserve(quote) / this.virtualReserve(base))
+    };
+  }
+}
+
+/**
+ * ConcentratedLiquidityPool puts all liquidity into a price range around
+ * the price at which the reserves were set (Uniswap v3 / Meteora style)
+ *
+ * Within the range it behaves like a constant-product pool with much larger
+ * virtual reserves (low price impact); a swap that would push the price out
+ * of range runs out of real reserves and is rejected.
+ */
+class ConcentratedLiquidityPool extends ConstantProductPool {
+  /**
+   * @param {object} reserves - Token symbol → reserve, for exactly two tokens
+   * @param {number} fee - Swap fee as a fraction
+   * @param {number} range - Range width as a price multiple (1.1 = price/1.1 … price×1.1)
+   */
+  constructor(reserves, fee, range) {
+    super(reserves, fee);
+    this.range = range;
+    this.setReserves(reserves);
+  }
+
+  /**
+   * Replace the reserves and re-center the liquidity range on the new price
+   * @param {object} reserves - Token symbol → reserve, for exactly two tokens
+   */
+  setReserves(reserves) {
+    super.setReserves(reserves);
+    if (!this.range) return;
+    const [a, b] = this.tokens;
+    const sqrtPrice = Math.sqrt(reserves[b] / reserves[a]);
+    const sqrtRange = Math.sqrt(this.range);
+    const liquidity = reserves[a] * sqrtPrice / (1 - 1 / sqrtRange);
+    this.offsets = {
+      [a]: liquidity / (sqrtPrice * sqrtRange),
+      [b]: liquidity * sqrtPrice / sqrtRange
+    };
+  }
+
+  /**
+   * Real reserve plus the virtual liquidity of the range
+   * @param {string} token - Token symbol
+   * @returns {number} Reserve
+   */
+  virtualReserve(token) {
+    return this.reserves[token] + this.offsets[token];
+  }
+
+  /**
+   * @returns {object} Reserves, price and range of the pool
+   */
+  snapshot() {
+    return { ...super.snapshot(), model: 'concentrated', range: this.range };
+  }
+}
+
+/**
+ * PoolBook holds one venue's pools, one per token pair
+ *
+ * Pools are created on first use with reserves worth liquidityUsd per side
+ * at the reference prices (or POOL_RESERVES, if configured). Tokens that are
+ * not listed only get a pool on venues where the pool feed launched one.
+ */
+class PoolBook {
+  /**
+   * @param {string} dex - Venue name
+   * @param {object} profile - {fee, liquidityUsd, model, range}
+   * @param {function(string, string): boolean} isTradable - (token, dex) → whether a pool may exist
+   */
+  constructor(dex, profile, isTradable) {
+    this.dex = dex;
+    this.profile = profile;
+    this.isTradable = isTradable;
+    this.pools = new Map(); // pair -> pool
+  }
+
+  /**
+   * Build a pool of this venue's model
+   * @param {object} reserves - Token symbol → reserve
+   * @returns {ConstantProductPool} New pool
+   */
+  createPool(reserves) {
+    const { fee, model, range } = this.profile;
+    return model === 'concentrated'
+      ? new ConcentratedLiquidityPool(reserves, fee, range)
+      : new ConstantProductPool(reserves, fee);
+  }
+
+  /**
+   * Get (or lazily create) the pool for a pair
+   * @param {string} tokenIn - Token symbol
+   * @param {string} tokenOut - Token symbol
+   * @returns {ConstantProductPool} Pool for the pair
+   * @throws {OrderError} NO_POOL if the venue has no pool for the pair
+   */
+  get(tokenIn, tokenOut) {
+    const pair = pairKey(tokenIn, tokenOut);
+    let pool = this.pools.get(pair);
+    if (pool) return pool;
+
+    if (!this.isTradable(tokenIn, this.dex) || !this.isTradable(tokenOut, this.dex)) {
+      throw new OrderError('NO_POOL', `No ${pair} pool on ${this.dex}`);
+    }
+
+    // Pools are shared state: seed them from the global generator, not the order's
+    const reserves = POOL_RESERVES[`${this.dex}:${pair}`] || simContext.exit(() => this.seedReserves(tokenIn, tokenOut));
+    pool = this.createPool(reserves);
+    this.pools.set(pair, pool);
+    return pool;
+  }
+
+  /**
+   * Reserves worth liquidityUsd per side at the reference prices
+   * (launch-sized when either token has no reference price)
+   * @param {string} tokenA - Token symbol
+   * @param {string} tokenB - Token symbol
+   * @returns {object} Token symbol → reserve
+   */
+  seedReserves(tokenA, tokenB) {
+    const listed = TOKEN_PRICES[tokenA] && TOKEN_PRICES[tokenB];
+    const liquidityUsd = listed ? this.profile.liquidityUsd : LAUNCH_POOL_LIQUIDITY_USD;
+    const priceA = TOKEN_PRICES[tokenA] || UNLISTED_TOKEN_PRICE;
+    const priceB = (TOKEN_PRICES[tokenB] || UNLISTED_TOKEN_PRICE) *
+      (1 + (random() * 2 - 1) * POOL_PRICE_DISPERSION);
+    return { [tokenA]: liquidityUsd / priceA, [tokenB]: liquidityUsd / priceB };
+  }
+
+  /**
+   * Set a pool's reserves, creating the pool if needed
+   * @param {object} reserves - Token symbol → reserve, for exactly two tokens
+   * @returns {object} Pool snapshot
+   */
+  setReserves(reserves) {
+    const [tokenA, tokenB] = Object.keys(reserves);
+    const pair = pairKey(tokenA, tokenB);
+    const pool = this.pools.get(pair);
+    if (pool) {
+      pool.setReserves(reserves);
+    } else {
+      this.pools.set(pair, this.createPool(reserves));
+    }
+    return { dex: this.dex, pair, ...this.pools.get(pair).snapshot() };
+  }
+
+  /**
+   * @returns {object[]} Snapshot of every pool created so far
+   */
+  list() {
+    return [...this.pools].map(([pair, pool]) => ({ dex: this.dex, pair, ...pool.snapshot() }));
+  }
+}
+
+// ============ FAULT INJECTION ============
+
+/**
+ * Failure scenarios the mock venues can simulate, by the call they affect
+ * - quote_timeout: the quote hangs for delayMs (router excludes the venue)
+ * - stale_quote: the quote shows a price `drift` better than the pool really offers
+ * - tx_rejected: the transaction is rejected before landing
+ * - dropped_confirmation: the transaction never lands and expires with its blockhash
+ * - extreme_slippage: the fill lands `slippage` worse than the pool price
+ */
+const FAULT_TYPES = {
+  quote_timeout: 'quote',
+  stale_quote: 'quote',
+  tx_rejected: 'execute',
+  dropped_confirmation: 'execute',
+  extreme_slippage: 'execute'
+};
+
+/**
+ * Default parameters of each fault type
+ */
+const FAULT_DEFAULTS = {
+  quote_timeout: { delayMs: 30000 },
+  stale_quote: { drift: 0.05 },
+  extreme_slippage: { slippage: 0.25 }
+};
+
+/**
+ * FaultInjector holds the failure scenarios configured through the admin API
+ *
+ * A fault targets one venue (or '*' for all) and fires either with a given
+ * probability on every matching call, or on the next `count` calls after
+ * which it is removed.
+ */
+class FaultInjector {
+  constructor() {
+    this.faults = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Register a fault
+   * @param {object} spec - {dex, type, probability | count, ...parameters}
+   * @returns {object} Stored fault with its id
+   * @throws {OrderError} INVALID_FAULT for malformed specs
+   */
+  add(spec) {
+    const { dex, type, probability, count, ...params } = spec || {};
+    if (!dex || !FAULT_TYPES[type]) {
+      throw new OrderError('INVALID_FAULT', `invalid fault. required: dex, type (${Object.keys(FAULT_TYPES).join('|')})`);
+    }
+    const byProbability = typeof probability === 'number' && probability > 0 && probability <= 1;
+    const byCount = Number.isInteger(count) && count > 0;
+    if (byProbability === byCount) {
+      throw new OrderError('INVALID_FAULT', 'invalid fault. set exactly one of probability (0 < p <= 1) or count (next N calls)');
+    }
+    for (const [key, value] of Object.entries(params)) {
+      if (!(key in (FAULT_DEFAULTS[type] || {})) || typeof value !== 'number' || !(value >= 0)) {
+        throw new OrderError('INVALID_FAULT', `invalid fault. unknown or negative parameter '${key}' for ${type}`);
+      }
+    }
+
+    const fault = {
+      id: String(this.nextId++),
+      dex,
+      type,
+      ...(byProbability ? { probability } : { remaining: count }),
+      ...FAULT_DEFAULTS[type],
+      ...params,
+      triggered: 0,
+      createdAt: new Date(now()).toISOString()
+    };
+    this.faults.push(fault);
+    console.log(`\n💥 FAULT ARMED #${fault.id}: ${type} on ${dex} (${byProbability ? `p=${probability}` : `next ${count} call(s)`})`);
+    return fault;
+  }
+
+  /**
+   * @param {string} id - Fault id
+   * @returns {boolean} True if the fault existed
+   */
+  remove(id) {
+    const before = this.faults.length;
+    this.faults = this.faults.filter((f) => f.id !== id);
+    return this.faults.length < before;
+  }
+
+  /**
+   * Remove every fault
+   * @returns {number} Number of faults removed
+   */
+  clear() {
+    const removed = this.faults.length;
+    this.faults = [];
+    return removed;
+  }
+
+  /**
+   * @returns {object[]} Configured faults
+   */
+  list() {
+    return this.faults;
+  }
+
+  /**
+   * Decide whether a call fails, consuming count-based faults
+   * @param {string} dex - Venue being called
+   * @param {'quote'|'execute'} phase - Kind of call
+   * @returns {object|null} The fault to simulate, if any
+   */
+  take(dex, phase) {
+    for (const fault of this.faults) {
+      if ((fault.dex !== dex && fault.dex !== '*') || FAULT_TYPES[fault.type] !== phase) continue;
+      if (fault.remaining !== undefined) {
+        fault.remaining--;
+        if (fault.remaining === 0) this.remove(fault.id);
+      } else if (random() >= fault.probability) {
+        continue;
+      }
+      fault.triggered++;
+      console.log(`   💥 Injected ${fault.type} on ${dex} (fault #${fault.id})`);
+      return fault;
+    }
+    return null;
+  }
+}
+
+/**
+ * Shared fault configuration for every mock venue
+ */
+const faultInjector = new FaultInjector();
+
+// ============ DEX ADAPTERS ============
+
+/**
+ * DexAdapter is the interface every trading venue implements
+ *
+ * - quote(tokenIn, tokenOut, amount) → {price, fee, dex, priceImpact?}
+ *   where price is the average price for the whole amount (before fees)
+ * - execute(order) → {txHash, executedPrice, amountOut?}, for venues that settle swaps themselves
+ * - buildTransaction(order) → {instruction, dropped?}, optional: venues that
+ *   implement it are settled on the simulated chain instead of via execute()
+ * - health() → {healthy, ...details}
+ *
+ * Orders passed to execute() and buildTransaction() carry `minAmountOut`, the
+ * least tokenOut the swap may pay out. Built-in venues revert below it with an
+ * OrderError SLIPPAGE_EXCEEDED ({amountOut, minAmountOut, executedPrice} in
+ * its details) instead of filling; processOrder fails other fills below it.
+ *
+ * Subclasses override quote() and execute() or buildTransaction(); health()
+ * defaults to healthy.
+ */
+class DexAdapter {
+  /**
+   * @param {string} name - Venue name used in routing decisions and events
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Get a price quote for a swap
+   * @param {string} tokenIn - Input token symbol
+   * @param {string} tokenOut - Output token symbol
+   * @param {number} amount - Amount to swap
+   * @returns {Promise<{price, fee, dex}>} Quote with price, fee, and DEX name
+   */
+  async quote(tokenIn, tokenOut, amount) {
+    throw new Error(`${this.name}: quote() not implemented`);
+  }
+
+  /**
+   * Execute a swap on this venue
+   * @param {object} order - Order object containing swap details
+   * @returns {Promise<{txHash, executedPrice}>} Transaction hash and final execution price
+   */
+  async execute(order) {
+    throw new Error(`${this.name}: execute() not implemented`);
+  }
+
+  /**
+   * Report whether the venue is usable
+   * @returns {Promise<{healthy: boolean}>} Health status
+   */
+  async health() {
+    return { healthy: true };
+  }
+}
+
+/**
+ * Number of consecutive failures after which a mock venue reports unhealthy
+ */
+const DEX_UNHEALTHY_AFTER_FAILURES = 3;
+
+/**
+ * MockDexAdapter simulates an AMM venue backed by stateful pools
+ *
+ * Quotes price the requested size against the current pool reserves and
+ * swaps move those reserves when their transaction lands on the simulated
+ * chain, so price impact and slippage between quote and fill come from the
+ * pools themselves. Quotes take 200-400ms; landing and confirmation timing
+ * is up to the chain. Failures configured in the FaultInjector are simulated on top.
+ */
+class MockDexAdapter extends DexAdapter {
+  /**
+   * @param {string} name - Venue name
+   * @param {object} profile - {fee, liquidityUsd, model, range}
+   * @param {function(string, string): boolean} isTradable - (token, dex) → whether a pool may exist
+   * @param {FaultInjector} faults - Failure scenarios to simulate
+   */
+  constructor(name, profile, isTradable, faults) {
+    super(name);
+    this.pools = new PoolBook(name, profile, isTradable);
+    this.faults = faults;
+    this.consecutiveFailures = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * Get a price quote for the requested size
+   * Simulates network latency (200-400ms)
+   * @param {string} tokenIn - Input token symbol
+   * @param {string} tokenOut - Output token symbol
+   * @param {number} amount - Amount to swap
+   * @returns {Promise<{price, spotPrice, priceImpact, fee, dex}>} Size-aware quote
+   */
+  async quote(tokenIn, tokenOut, amount) {
+    return this.track(async () => {
+      const fault = this.faults.take(this.name, 'quote');
+      // Simulate network latency for fetching quote
+      await simulateLatency(200 + random() * 200);
+      if (fault?.type === 'quote_timeout') await sleep(fault.delayMs);
+
+      const pool = this.pools.get(tokenIn, tokenOut);
+      const { price, spotPrice, priceImpact } = pool.quote(tokenIn, tokenOut, amount);
+      // A stale quote still shows the better price from before the market moved
+      const staleness = fault?.type === 'stale_quote' ? 1 - fault.drift : 1;
+      return { price: price * staleness, spotPrice: spotPrice * staleness, priceImpact, fee: pool.fee, dex: this.name };
+    });
+  }
+
+  /**
+   * Build the swap transaction for the simulated chain
+   * The instruction swaps against the pool when the transaction lands, or
+   * reverts without touching the pool when it would pay out less than
+   * order.minAmountOut
+   * @param {object} order - Order object containing swap details and minAmountOut
+   * @returns {Promise<{instruction: function(): Promise<{executedPrice, amountOut}>, dropped: boolean}>} Transaction
+   * @throws {Error} When the venue rejects the transaction before it is sent
+   */
+  async buildTransaction(order) {
+    const fault = this.faults.take(this.name, 'execute');
+    if (fault?.type === 'tx_rejected') {
+      return this.track(async () => {
+        await simulateLatency(50 + random() * 100);
+        throw new Error(`Transaction rejected by ${this.name}`);
+      });
+    }
+
+    const instruction = () => this.track(async () => {
+      const pool = this.pools.get(order.tokenIn, order.tokenOut);
+      const { price, amountOut } = pool.quote(order.tokenIn, order.tokenOut, order.amountIn);
+      const slip = fault?.type === 'extreme_slippage' ? 1 + fault.slippage : 1;
+      const fill = { executedPrice: price * slip, amountOut: amountOut / slip };
+      if (fill.amountOut < order.minAmountOut) {
+        throw new OrderError('SLIPPAGE_EXCEEDED', `Swap would pay out ${fill.amountOut.toFixed(6)} ${order.tokenOut}, below the minimum of ${order.minAmountOut.toFixed(6)}`,
+          { ...fill, minAmountOut: order.minAmountOut });
+      }
+      pool.swap(order.tokenIn, order.tokenOut, order.amountIn);
+      return fill;
+    });
+    // A dropped transaction is never picked up by a leader and eventually expires
+    return { instruction, dropped: fault?.type === 'dropped_confirmation' };
+  }
+
+  /**
+   * Unhealthy after DEX_UNHEALTHY_AFTER_FAILURES consecutive failed calls
+   * @returns {Promise<{healthy, consecutiveFailures, lastError}>} Health status
+   */
+  async health() {
+    return {
+      healthy: this.consecutiveFailures < DEX_UNHEALTHY_AFTER_FAILURES,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Run a venue call and keep failure counters for health()
+   * OrderErrors (no pool, not enough liquidity) say nothing about venue health
+   * @param {function(): Promise} fn - Venue call
+   * @returns {Promise} Result of the call
+   */
+  async track(fn) {
+    try {
+      const result = await fn();
+      this.consecutiveFailures = 0;
+      return result;
+    } catch (err) {
+      if (err instanceof OrderError) throw err;
+      this.consecutiveFailures++;
+      this.lastError = err?.message || String(err);
+      throw err;
+    }
+  }
+}
+
+/**
+ * Built-in mock venues (liquidityUsd is the USD value per side of each pool)
+ * - Raydium: constant-product, 0.3% fee, deepest pools
+ * - Meteora: concentrated liquidity within ±10%, 0.2% fee (tight near the price, runs dry on large orders)
+ * - Orca: constant-product, 0.25% fee
+ * - Phoenix: constant-product, 0.1% fee, shallow
+ * - Lifinity: constant-product, 0.15% fee
+ */
+const MOCK_VENUE_PROFILES = {
+  raydium: { fee: 0.003, liquidityUsd: 5000000, model: 'constant-product' },
+  meteora: { fee: 0.002, liquidityUsd: 500000, model: 'concentrated', range: 1.1 },
+  orca: { fee: 0.0025, liquidityUsd: 2000000, model: 'constant-product' },
+  phoenix: { fee: 0.001, liquidityUsd: 300000, model: 'constant-product' },
+  lifinity: { fee: 0.0015, liquidityUsd: 1000000, model: 'constant-product' }
+};
+
+/**
+ * DexRegistry holds the adapters routing may use
+ */
+class DexRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Add a venue
+   * @param {DexAdapter} adapter - Adapter with a unique name
+   * @returns {DexRegistry} This registry, for chaining
+   */
+  register(adapter) {
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`DEX adapter '${adapter.name}' is already registered`);
+    }
+    this.adapters.set(adapter.name, adapter);
+    return this;
+  }
+
+  /**
+   * @param {string} name - Venue name
+   * @returns {DexAdapter|undefined} Registered adapter
+   */
+  get(name) {
+    return this.adapters.get(name);
+  }
+
+  /**
+   * @returns {DexAdapter[]} Every registered adapter, in registration order
+   */
+  list() {
+    return [...this.adapters.values()];
+  }
+}
+
+/**
+ * Build the registry from the DEX_VENUES environment variable
+ *
+ * Comma separated list of built-in venue names (see MOCK_VENUE_PROFILES)
+ * and/or paths to modules exporting a DexAdapter-compatible class, e.g.
+ * DEX_VENUES=raydium,meteora,./adapters/jupiter.js. Defaults to every built-in venue.
+ *
+ * @returns {DexRegistry} Configured registry
+ */
+function createDexRegistry() {
+  const registry = new DexRegistry();
+  const venues = (process.env.DEX_VENUES || Object.keys(MOCK_VENUE_PROFILES).join(','))
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+  for (const venue of venues) {
+    if (MOCK_VENUE_PROFILES[venue]) {
+      const isTradable = (token, dex) => poolFeed.hasPoolOn(token, dex);
+      registry.register(new MockDexAdapter(venue, MOCK_VENUE_PROFILES[venue], isTradable, faultInjector));
+    } else if (venue.endsWith('.js')) {
+      const Adapter = require(path.resolve(venue));
+      registry.register(new Adapter());
+    } else {
+      throw new Error(`Unknown DEX venue '${venue}'. built-in: ${Object.keys(MOCK_VENUE_PROFILES).join(', ')}`);
+    }
+  }
+  return registry;
+}
+
+// ============ SIMULATED CHAIN ============
+
+/**
+ * Slot duration of the simulated chain
+ * Uses CHAIN_SLOT_MS environment variable or defaults to 400ms (Solana's target)
+ */
+const CHAIN_SLOT_MS = positiveIntSetting('CHAIN_SLOT_MS', 400);
+
+/**
+ * Slots a blockhash stays valid; transactions not landed by then expire
+ * Uses CHAIN_BLOCKHASH_VALID_SLOTS environment variable or defaults to 150
+ */
+const CHAIN_BLOCKHASH_VALID_SLOTS = positiveIntSetting('CHAIN_BLOCKHASH_VALID_SLOTS', 150);
+
+/**
+ * Slots between a transaction being processed and finalized
+ * Uses CHAIN_FINALITY_SLOTS environment variable or defaults to 32
+ */
+const CHAIN_FINALITY_SLOTS = positiveIntSetting('CHAIN_FINALITY_SLOTS', 32);
+
+/**
+ * MockChain simulates a Solana-like ledger for swap transactions
+ *
+ * - The slot is derived from the clock (one slot every CHAIN_SLOT_MS)
+ * - sendTransaction returns a signature at once; the transaction lands
+ *   1-4 slots later unless it was dropped
+ * - Commitment then goes processed → confirmed (1-2 slots later) →
+ *   finalized (CHAIN_FINALITY_SLOTS after processing)
+ * - A transaction that has not landed when its blockhash ages out expires
+ */
+class MockChain {
+  constructor() {
+    this.genesis = now();
+  }
+
+  /**
+   * @returns {number} Current slot
+   */
+  slot() {
+    return Math.floor((now() - this.genesis) / CHAIN_SLOT_MS);
+  }
+
+  /**
+   * Wait until the chain reaches a slot
+   * @param {number} slot - Target slot
+   * @returns {Promise<number>} The slot reached
+   */
+  async waitForSlot(slot) {
+    const wait = (slot - this.slot()) * CHAIN_SLOT_MS;
+    if (wait > 0) await sleep(wait);
+    return Math.max(slot, this.slot());
+  }
+
+  /**
+   * A fresh blockhash for building a transaction
+   * @returns {{blockhash: string, lastValidSlot: number}} Blockhash and the last slot it is valid for
+   */
+  getLatestBlockhash() {
+    return { blockhash: randomBase58(32), lastValidSlot: this.slot() + CHAIN_BLOCKHASH_VALID_SLOTS };
+  }
+
+  /**
+   * Submit a transaction
+   *
+   * Progress is reported through onUpdate({stage, slot, ...}) with stage
+   * 'processed' or 'expired'. The instruction runs when the transaction lands;
+   * if it throws, the transaction fails on-chain.
+   *
+   * @param {{instruction: function(): Promise<object>, dropped?: boolean, lastValidSlot: number}} tx - Transaction
+   * @param {function(object): void} onUpdate - Progress callback
+   * @returns {{signature: string, confirmed: Promise<object>, finalized: Promise<number>}}
+   *   Signature, the instruction's result plus slot at 'confirmed' commitment, and the finalized slot
+   */
+  sendTransaction(tx, onUpdate) {
+    const signature = randomBase58(64);
+
+    const confirmed = (async () => {
+      const landingSlot = this.slot() + 1 + Math.floor(random() * 4);
+      if (tx.dropped || landingSlot > tx.lastValidSlot) {
+        const slot = await this.waitForSlot(tx.lastValidSlot + 1);
+        onUpdate({ stage: 'expired', signature, slot, lastValidSlot: tx.lastValidSlot });
+        const err = new Error(`Transaction ${signature.substring(0, 12)}... expired: blockhash not valid after slot ${tx.lastValidSlot}`);
+        err.code = 'BLOCKHASH_EXPIRED';
+        throw err;
+      }
+
+      const slot = await this.waitForSlot(landingSlot);
+      let result;
+      try {
+        result = await tx.instruction();
+      } catch (err) {
+        if (err instanceof OrderError) throw err;
+        throw new Error(`Transaction ${signature.substring(0, 12)}... failed in slot ${slot}: ${err?.message || err}`);
+      }
+      onUpdate({ stage: 'processed', signature, slot });
+
+      const confirmedSlot = await this.waitForSlot(slot + 1 + Math.floor(random() * 2));
+      return { ...result, slot, confirmedSlot };
+    })();
+
+    const finalized = confirmed.then(({ slot }) => this.waitForSlot(slot + CHAIN_FINALITY_SLOTS));
+    // Failures are reported through `confirmed`; don't let the derived promise go unhandled
+    finalized.catch(() => {});
+    return { signature, confirmed, finalized };
+  }
+}
+
+/**
+ * Shared simulated chain
+ */
+const chain = new MockChain();
+
+// ============ DEX ROUTER ============
+
+/**
+ * How long a venue may take to quote before it is left out of routing
+ * Uses DEX_QUOTE_TIMEOUT_MS environment variable or defaults to 1000ms
+ */
+const DEX_QUOTE_TIMEOUT_MS = parseInt(process.env.DEX_QUOTE_TIMEOUT_MS || '1000', 10);
+
+/**
+ * Output of a quote after fees: amount × (1 - fee) / price
+ * @param {{price: number, fee: number}} quote - Size-aware quote
+ * @param {number} amount - Amount of tokenIn being swapped
+ * @returns {number} Expected amount of tokenOut received
+ */
+function netOutput(quote, amount) {
+  return amount * (1 - quote.fee) / quote.price;
+}
+
+/**
+ * Number of equal slices amountIn is cut into when planning a split
+ * (each slice goes to the venue with the best marginal output)
+ */
+const SPLIT_STEPS = 20;
+
+/**
+ * Turn a size-aware quote into a pricing curve for arbitrary amounts
+ *
+ * The venue's depth is inferred from the price impact it reported for the
+ * quoted size, assuming impact = amount / (depth + amount). Venues that
+ * report no impact are treated as infinitely deep at their quoted price.
+ *
+ * @param {object} quote - Quote from getQuotes()
+ * @param {number} amount - Size the quote was requested for
+ * @returns {{price: function(number): number, output: function(number): number}} Curve
+ */
+function quoteCurve(quote, amount) {
+  const impact = quote.priceImpact;
+  const spot = quote.spotPrice ?? quote.price * (1 - impact);
+  const depth = impact > 0 ? amount * (1 - impact) / impact : Infinity;
+  const price = (a) => (depth === Infinity ? spot : spot * (depth + a) / depth);
+  return { price, output: (a) => (a > 0 ? a * (1 - quote.fee) / price(a) : 0) };
+}
+
+/**
+ * DexRouter fans quote requests out to every registered venue
+ *
+ * Each venue gets its own timeout; venues that time out or throw are
+ * excluded from the decision instead of failing the whole order.
+ * Quotes are ranked by net output for the requested size (after fees and
+ * price impact), not by headline price.
+ */
+class DexRouter {
+  /**
+   * @param {DexRegistry} registry - Venues to route across
+   * @param {{quoteTimeoutMs: number, chain: MockChain}} options - Per-venue quote timeout and the chain swaps settle on
+   */
+  constructor(registry, { quoteTimeoutMs, chain }) {
+    this.registry = registry;
+    this.quoteTimeoutMs = quoteTimeoutMs;
+    this.chain = chain;
+  }
+
+  /**
+   * Collect quotes from every venue in parallel
+   * @param {string} tokenIn - Input token symbol
+   * @param {string} tokenOut - Output token symbol
+   * @param {number} amount - Amount to swap
+   * @returns {Promise<{quotes: object[], excluded: {dex, reason}[]}>} Quotes with amountOut, sorted best (highest output) first
+   * @throws {OrderError} NO_QUOTES when no venue returned a quote
+   */
+  async getQuotes(tokenIn, tokenOut, amount) {
+    const adapters = this.registry.list();
+    const results = await Promise.allSettled(adapters.map((adapter) =>
+      withTimeout(adapter.quote(tokenIn, tokenOut, amount), this.quoteTimeoutMs, `${adapter.name} quote timed out`)
+    ));
+
+    const quotes = [];
+    const excluded = [];
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        const quote = result.value;
+        quotes.push({ priceImpact: 0, ...quote, amountOut: netOutput(quote, amount) });
+      } else {
+        excluded.push({ dex: adapters[i].name, reason: result.reason?.message || String(result.reason) });
+      }
+    });
+
+    if (quotes.length === 0) {
+      throw new OrderError('NO_QUOTES', 'No venue returned a quote', { excluded });
+    }
+    quotes.sort((a, b) => b.amountOut - a.amountOut);
+    return { quotes, excluded };
+  }
+
+  /**
+   * Split an amount across venues to maximize total output
+   *
+   * Greedy allocation in SPLIT_STEPS slices: every slice goes to the venue
+   * whose output grows the most by taking it. Falls back to a single leg on
+   * the best venue when splitting does not beat it.
+   *
+   * @param {object[]} quotes - Quotes from getQuotes() for the same amount
+   * @param {number} amount - Total amount of tokenIn
+   * @returns {{dex, fee, share, amountIn, price, amountOut}[]} Legs, largest first
+   */
+  planSplit(quotes, amount) {
+    const curves = quotes.map((q) => quoteCurve(q, amount));
+    const allocation = quotes.map(() => 0);
+    const step = amount / SPLIT_STEPS;
+
+    for (let i = 0; i < SPLIT_STEPS; i++) {
+      let best = 0;
+      let bestGain = -Infinity;
+      curves.forEach((curve, v) => {
+        const gain = curve.output(allocation[v] + step) - curve.output(allocation[v]);
+        if (gain > bestGain) {
+          bestGain = gain;
+          best = v;
+        }
+      });
+      allocation[best] += step;
+    }
+
+    const legs = quotes
+      .map((q, v) => ({
+        dex: q.dex,
+        fee: q.fee,
+        share: allocation[v] / amount,
+        amountIn: allocation[v],
+        price: curves[v].price(allocation[v]),
+        amountOut: curves[v].output(allocation[v])
+      }))
+      .filter((leg) => leg.amountIn > 0)
+      .sort((a, b) => b.amountIn - a.amountIn);
+
+    const splitOut = legs.reduce((sum, leg) => sum + leg.amountOut, 0);
+    if (legs.length < 2 || splitOut <= quotes[0].amountOut) {
+      const [top] = quotes;
+      return [{ dex: top.dex, fee: top.fee, share: 1, amountIn: amount, price: top.price, amountOut: top.amountOut }];
+    }
+    return legs;
+  }
+
+  /**
+   * Execute a swap on the selected venue
+   *
+   * Venues with buildTransaction() go through the simulated chain: the
+   * signature is reported as soon as the transaction is sent ('submitted'),
+   * followed by 'processed' or 'expired'. Other venues settle through
+   * execute() and report 'submitted' once they return.
+   *
+   * @param {string} dex - Venue name
+   * @param {object} order - Order object containing swap details
+   * @param {function(object): void} [onUpdate] - Progress callback ({stage, signature, slot, ...})
+   * @returns {Promise<{txHash, executedPrice, slot?, confirmedSlot?, finalized: Promise}>}
+   *   Settled swap at 'confirmed' commitment; `finalized` resolves with the finalized slot
+   */
+  async executeSwap(dex, order, onUpdate = () => {}) {
+    const adapter = this.registry.get(dex);
+    if (!adapter) throw new OrderError('UNKNOWN_VENUE', `Venue '${dex}' is not registered`);
+
+    if (typeof adapter.buildTransaction !== 'function') {
+      const result = await adapter.execute(order);
+      onUpdate({ stage: 'submitted', signature: result.txHash });
+      return { ...result, finalized: Promise.resolve(null) };
+    }
+
+    const tx = await adapter.buildTransaction(order);
+    const { lastValidSlot } = this.chain.getLatestBlockhash();
+    const { signature, confirmed, finalized } = this.chain.sendTransaction({ ...tx, lastValidSlot }, onUpdate);
+    onUpdate({ stage: 'submitted', signature, slot: this.chain.slot(), lastValidSlot });
+    const result = await confirmed;
+    return { txHash: signature, ...result, finalized };
+  }
+
+  /**
+   * Health of every venue
+   * A venue whose health check throws or times out is reported unhealthy
+   * @returns {Promise<object[]>} [{dex, healthy, ...details}]
+   */
+  async health() {
+    const adapters = this.registry.list();
+    return Promise.all(adapters.map(async (adapter) => {
+      try {
+        const status = await withTimeout(adapter.health(), this.quoteTimeoutMs, 'health check timed out');
+        return { dex: adapter.name, ...status };
+      } catch (err) {
+        return { dex: adapter.name, healthy: false, lastError: err?.message || String(err) };
+      }
+    }));
+  }
+}
+
+/**
+ * Shared router over the configured venues
+ */
+const dexRouter = new DexRouter(createDexRegistry(), { quoteTimeoutMs: DEX_QUOTE_TIMEOUT_MS, chain });
+
+// ============ MOCK POOL FEED ============
+
+/**
+ * DEXs the mock feed can announce new pools on
+ */
+const POOL_DEXES = ['raydium', 'meteora'];
+
+/**
+ * Tokens that already have pools when the server starts
+ * Uses LISTED_TOKENS environment variable (comma separated) or a default set
+ */
+const LISTED_TOKENS = (process.env.LISTED_TOKENS || 'SOL,USDC,USDT,BONK,JUP,RAY')
+  .split(',')
+  .map((t) => t.trim())
+  .filter(Boolean);
+
+/**
+ * MockPoolFeed simulates an on-chain pool-creation event source
+ *
+ * Tracks which tokens are tradable and emits a 'poolCreated' event
+ * ({token, dex, createdAt}) whenever a new Raydium/Meteora pool appears.
+ * Pools can be launched manually (POST /api/pools) or, with auto-launch
+ * enabled, the feed simulates a launch a few seconds after a token is watched.
+ */
+class MockPoolFeed extends EventEmitter {
+  /**
+   * @param {string[]} listedTokens - Tokens that already have pools
+   * @param {object} options - {autoLaunch, minDelayMs, maxDelayMs}
+   */
+  constructor(listedTokens, options = {}) {
+    super();
+    this.listed = new Set(listedTokens);
+    this.pools = new Map(); // token -> Set of dex names with a launched pool
+    this.pendingLaunches = new Map(); // token -> simulated launch timer
+    this.autoLaunch = options.autoLaunch !== false;
+    this.minDelayMs = options.minDelayMs ?? 5000;
+    this.maxDelayMs = options.maxDelayMs ?? 15000;
+  }
+
+  /**
+   * Check whether a token can already be traded on any DEX
+   * @param {string} token - Token symbol
+   * @returns {boolean} True if the token is listed or a pool was launched
+   */
+  hasPool(token) {
+    return this.listed.has(token) || this.pools.has(token);
+  }
+
+  /**
+   * Check whether a token can be traded on a specific DEX
+   * @param {string} token - Token symbol
+   * @param {string} dex - DEX name
+   * @returns {boolean} True if the token is listed or a pool was launched on that DEX
+   */
+  hasPoolOn(token, dex) {
+    return this.listed.has(token) || Boolean(this.pools.get(token)?.has(dex));
+  }
+
+  /**
+   * Announce a new pool for a token
+   * @param {string} token - Token symbol the pool was created for
+   * @param {string} dex - DEX hosting the pool ('raydium' or 'meteora')
+   * @returns {{token, dex, createdAt}|null} Launch event, or null if that pool already exists
+   */
+  launchPool(token, dex) {
+    const dexes = this.pools.get(token) || new Set();
+    if (dexes.has(dex)) return null;
+    dexes.add(dex);
+    this.pools.set(token, dexes);
+
+    const timer = this.pendingLaunches.get(token);
+    if (timer) {
+      clock.clearTimeout(timer);
+      this.pendingLaunches.delete(token);
+    }
+
+    const event = { token, dex, createdAt: new Date(now()).toISOString() };
+    console.log(`\n🆕 POOL CREATED: ${token} on ${dex.toUpperCase()}`);
+    this.emit('poolCreated', event);
+    return event;
+  }
+
+  /**
+   * Register interest in a token that has no pool yet
+   * With auto-launch enabled, schedules a simulated launch after a random delay
+   * @param {string} token - Token symbol to watch
+   */
+  watch(token) {
+    if (!this.autoLaunch || this.hasPool(token) || this.pendingLaunches.has(token)) return;
+    const delay = this.minDelayMs + random() * (this.maxDelayMs - this.minDelayMs);
+    const dex = POOL_DEXES[Math.floor(random() * POOL_DEXES.length)];
+    this.pendingLaunches.set(token, clock.setTimeout(() => this.launchPool(token, dex), delay));
+  }
+}
+
+/**
+ * Shared pool-creation feed
+ * Set SNIPER_AUTO_LAUNCH=0 to only launch pools through POST /api/pools
+ */
+const poolFeed = new MockPoolFeed(LISTED_TOKENS, { autoLaunch: process.env.SNIPER_AUTO_LAUNCH !== '0' });
+
+// ============ ORDER STORE ============
+
+/**
+ * Statuses after which an order never changes again
+ */
+const TERMINAL_STATUSES = new Set(['confirmed', 'finalized', 'partially_filled', 'failed', 'expired', 'cancelled']);
+
+/**
+ * MemoryOrderStore keeps nothing beyond the in-process orders Map
+ * Useful for tests and throwaway demos; every order is lost on restart
+ */
+class MemoryOrderStore {
+  /**
+   * @returns {object[]} Previously persisted records (always empty)
+   */
+  load() {
+    return [];
+  }
+
+  /**
+   * @param {object} record - Record to persist (ignored)
+   */
+  append(record) {}
+}
+
+/**
+ * FileOrderStore persists order records to an append-only JSONL file
+ *
+ * Every record is written synchronously as one line, so a crash loses at
+ * most the line being written. A torn trailing line is skipped on load.
+ */
+class FileOrderStore {
+  /**
+   * @param {string} filePath - JSONL file to append to (created if missing)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * Read every record written by previous runs
+   * A torn trailing line is ended, so the next record starts on a line of its own
+   * @returns {object[]} Records in the order they were appended
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+    const records = [];
+    const text = fs.readFileSync(this.filePath, 'utf8');
+    if (text && !text.endsWith('\n')) fs.appendFileSync(this.filePath, '\n');
+    const lines = text.split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        console.warn(`⚠️  Skipping unreadable order record in ${this.filePath}`);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Append a single record
+   * @param {object} record - {type, orderId, at, ...}
+   */
+  append(record) {
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+  }
+}
+
+/**
+ * Create the order store selected by the ORDER_STORE environment variable
+ * - 'file' (default) - FileOrderStore at ORDER_STORE_FILE (default data/orders.jsonl)
+ * - 'memory' - MemoryOrderStore, nothing survives a restart
+ * - any other value - path to a module exporting a store class with load()/append()
+ * @returns {{load: function(): object[], append: function(object): void}} Order store
+ */
+function createOrderStore() {
+  const kind = process.env.ORDER_STORE || 'file';
+  if (kind === 'memory') return new MemoryOrderStore();
+  if (kind === 'file') {
+    return new FileOrderStore(process.env.ORDER_STORE_FILE || path.join(__dirname, 'data', 'orders.jsonl'));
+  }
+  const CustomStore = require(path.resolve(kind));
+  return new CustomStore();
+}
+
+/**
+ * Active order store
+ */
+const orderStore = createOrderStore();
+
+/**
+ * Every order known to the engine, rebuilt from the store on boot
+ * Key: orderId, Value: {orderId, order, status, createdAt, updatedAt, events}
+ */
+const orders = new Map();
+
+/**
+ * Apply a persisted record to the in-memory orders Map
+ * Shared by live updates and boot-time replay so both build identical state.
+ * Status events are numbered per order (seq 1, 2, ...) in the order applied,
+ * and every record updates the risk engine's running daily notional.
+ * @param {object} record - 'created' record {order} or 'status' record {status, ...details}
+ * @returns {object|undefined} The status event as stored in the order's history
+ */
+function applyRecord(record) {
+  const { type, orderId, at, ...rest } = record;
+  if (type === 'created') {
+    const created = { orderId, order: rest.order, owner: rest.owner, status: 'received', createdAt: at, updatedAt: at, events: [] };
+    orders.set(orderId, created);
+    risk.trackNotional(created);
+    return undefined;
+  }
+
+  const order = orders.get(orderId);
+  if (!order) return undefined;
+  if (rest.amended) {
+    // Amendments keep the current status; fold the new values into the order
+    Object.assign(order.order, rest.amended);
+    order.amendments = { ...order.amendments, ...rest.amended };
+  }
+  const event = { ...rest, seq: order.events.length + 1, at };
+  order.status = rest.status;
+  order.updatedAt = at;
+  order.events.push(event);
+  risk.trackNotional(order, event);
+  return event;
+}
+
+/**
+ * Persist and apply a record
+ * @param {object} record - Record without a timestamp
+ * @returns {object|undefined} The applied status event, including seq and at
+ */
+function writeRecord(record) {
+  const stamped = { ...record, at: new Date(now()).toISOString() };
+  const event = applyRecord(stamped);
+  try {
+    orderStore.append(stamped);
+  } catch (err) {
+    console.error(`⚠️  Failed to persist order record [${record.orderId.substring(0, 12)}]:`, err.message);
+  }
+  return event;
+}
+
+/**
+ * Register a newly accepted order
+ * @param {string} orderId - Unique order identifier
+ * @param {object} data - Validated order request body
+ * @param {string} [owner] - Id of the API key that submitted the order
+ */
+function createOrder(orderId, data, owner) {
+  writeRecord({ type: 'created', orderId, order: data, ...(owner && { owner }) });
+}
+
+// ============ ORDER PROCESSOR ============
+
+/**
+ * Map of active WebSocket connections
+ * Key: orderId, Value: Set of send functions, one per connected socket
+ * Used to maintain bidirectional communication with connected clients
+ */
+const wsClients = new Map();
+
+/**
+ * Connections to the account-wide stream (/api/orders/stream)
+ * Each entry: {send, tokenIn, tokenOut, owner}; undefined tokens match any
+ * pair, an undefined owner matches every API key's orders
+ */
+const streamClients = new Set();
+
+/**
+ * In-process listeners for every emitted status update
+ * Emits 'status' (orderId, event) after the update was recorded and sent to clients
+ */
+const orderEvents = new EventEmitter();
+
+/**
+ * Deliver a message without letting one broken socket affect the others
+ * @param {function(string): void} send - Send function of a single connection
+ * @param {string} msg - Serialized message
+ */
+function safeSend(send, msg) {
+  try {
+    send(msg);
+  } catch (e) {
+    // Silently ignore send failures (client may have disconnected)
+  }
+}
+
+/**
+ * Record a status update and emit it to every client subscribed to the order
+ * and to matching account-wide stream connections
+ *
+ * Recorded events carry a per-order `seq` and `at` timestamp and stay in the
+ * order's history, so clients connecting later get them replayed on upgrade.
+ *
+ * @param {string} orderId - Order the update belongs to
+ * @param {object} payload - Status update object with status and optional details
+ * @param {{persist?: boolean}} [options] - persist: false skips the order store
+ *   and history (no seq), for periodic updates that do not change the status
+ */
+function emitStatus(orderId, payload, { persist = true } = {}) {
+  const event = (persist && writeRecord({ type: 'status', orderId, ...payload })) || payload;
+
+  const subscribers = wsClients.get(orderId);
+  if (subscribers) {
+    const msg = JSON.stringify(event);
+    for (const send of subscribers) safeSend(send, msg);
+  }
+  orderEvents.emit('status', orderId, event);
+
+  // Fan out to the account-wide stream, tagged with the order and its pair
+  const record = orders.get(orderId);
+  if (streamClients.size === 0 || !record) return;
+  const { order, owner } = record;
+  const msg = JSON.stringify({ orderId, tokenIn: order.tokenIn, tokenOut: order.tokenOut, ...event });
+  for (const client of streamClients) {
+    if ((!client.owner || client.owner === owner) &&
+        (!client.tokenIn || client.tokenIn === order.tokenIn) && (!client.tokenOut || client.tokenOut === order.tokenOut)) {
+      safeSend(client.send, msg);
+    }
+  }
+}
+
+/**
+ * Process an order through the complete execution pipeline
+ * 
+ * Pipeline stages:
+ * 1. pending - Order received, waiting for routing
+ * 2. routing - Fetching quotes from every registered venue in parallel
+ * 3. building - Selecting best DEX and preparing transaction
+ * 4. submitted - Transaction sent to the simulated chain (signature known)
+ *    processed - Transaction landed in a slot
+ * 5. confirmed - Transaction reached 'confirmed' commitment and order complete
+ *    finalized - Transaction reached 'finalized' commitment (sent later,
+ *    outside the worker slot)
+ * 
+ * Each stage emits a status update via WebSocket. A transaction whose
+ * blockhash ages out before it lands emits 'tx_expired' and is retried
+ * like any other venue failure. Transient executeSwap
+ * failures are retried with exponential backoff, emitting 'retrying'
+ * before each new attempt. When a venue keeps failing, the order is
+ * re-quoted and sent to the next-best venue ('rerouting'), as long as the
+ * venue budget and the allowed price deterioration are not exceeded.
+ * 
+ * Orders with `split: true` may be spread over several venues (see
+ * DexRouter.planSplit). Every leg is its own swap with its own txHash; the
+ * order is confirmed only when all legs fill, ends 'partially_filled' when
+ * some legs fail, and fails when none fill.
+ * 
+ * Between stages the pipeline checks for a cancellation request (emitting
+ * 'cancelled' and stopping) and picks up amended slippage/amountIn values.
+ * Once the swap is sent the order can no longer be cancelled or amended.
+ * 
+ * Orders with a `seed` draw every simulated random value (latencies, tx
+ * hashes, venue behaviour) from their own generator, so reruns with the
+ * same seed and pool state make the same decisions.
+ * 
+ * @param {object} data - Order data {type, tokenIn, tokenOut, amountIn}
+ * @param {string} orderId - Unique order identifier for tracking
+ * @param {object} [options] - Retry policy {maxAttempts, backoffMs} for executeSwap and
+ *   failover policy {maxVenues, maxDeterioration} for switching venues
+ * @returns {Promise<{txHash}|{cancelled: true}>} Transaction hash (first leg's for splits) on success
+ * @throws {Error} If any stage fails, emits 'failed' status and rethrows
+ */
+async function processOrder(data, orderId, options = {}) {
+  if (data.seed !== undefined && !simContext.getStore()) {
+    return simContext.run({ rng: createRng(data.seed) }, () => processOrder(data, orderId, options));
+  }
+
+  const dex = dexRouter;
+  const shortId = orderId.substring(0, 12);
+  
+  console.log(`\n${'═'.repeat(80)}`);
+  console.log(`📋 ORDER QUEUED [${shortId}]`);
+  console.log(`${'═'.repeat(80)}`);
+  console.log(`  💱 Swap: ${data.amountIn} ${data.tokenIn} → ${data.tokenOut}`);
+  const typeLabel = data.type === 'limit'
+    ? `Limit Order (triggered at ≤ $${data.limitPrice})`
+    : data.type === 'sniper'
+      ? `Sniper Order (pool launch, ${(data.slippage * 100).toFixed(0)}% slippage)`
+      : 'Market Order (immediate execution)';
+  console.log(`  🔀 Type: ${typeLabel}`);
+  console.log(`${'─'.repeat(80)}`);
+
+  /**
+   * Helper function to emit status updates to the client via WebSocket
+   * @param {object} payload - Status update object with status and optional details
+   */
+  const emit = (payload) => emitStatus(orderId, payload);
+
+  /**
+   * Stop here if a cancel was requested, otherwise apply pending amendments
+   * @param {string} stage - Stage just completed, reported in the cancelled event
+   * @throws {OrderError} CANCELLED when the order was cancelled
+   */
+  const checkpoint = (stage) => {
+    const record = orders.get(orderId);
+    if (!record) return;
+    if (record.cancelRequested) {
+      throw new OrderError('CANCELLED', `Order cancelled after ${stage}`, { stage });
+    }
+    if (record.amendments) Object.assign(data, record.amendments);
+  };
+
+  /**
+   * Decide the outcome of a split order once every leg has settled
+   * - all legs filled → confirmed
+   * - some legs filled → partially_filled (terminal, unfilled amount reported)
+   * - no leg filled → throws, so the order fails
+   * @param {object[]} legs - Planned legs
+   * @param {PromiseSettledResult[]} results - Outcome of each leg's swap
+   * @returns {{txHash, finalized: Promise|null}} First filled leg's transaction hash and,
+   *   when every leg filled, a promise for the slot the last leg finalized in
+   * @throws {OrderError} ALL_LEGS_FAILED when nothing was filled
+   */
+  const settleSplit = (legs, results) => {
+    const report = legs.map((leg, i) => {
+      const amountIn = data.amountIn * leg.share;
+      const result = results[i];
+      if (result.status === 'fulfilled') {
+        const { dex: venue, txHash, executedPrice, amountOut, slot } = result.value;
+        return {
+          dex: venue,
+          amountIn,
+          filled: true,
+          txHash,
+          executedPrice: formatPrice(executedPrice),
+          amountOut: (amountOut ?? amountIn / executedPrice).toFixed(6),
+          slot
+        };
+      }
+      const err = result.reason;
+      return {
+        dex: leg.dex,
+        amountIn,
+        filled: false,
+        error: err?.message || String(err),
+        ...(err instanceof OrderError && { code: err.code, details: err.details })
+      };
+    });
+
+    const filled = report.filter((leg) => leg.filled);
+    if (filled.length === 0) {
+      throw new OrderError('ALL_LEGS_FAILED', `All ${legs.length} legs of the split order failed`, { legs: report });
+    }
+
+    // Volume-weighted price over the filled legs
+    const filledAmountIn = filled.reduce((sum, leg) => sum + leg.amountIn, 0);
+    const executedPrice = filledAmountIn / filled.reduce((sum, leg) => sum + leg.amountIn / parseFloat(leg.executedPrice), 0);
+    const txHashes = filled.map((leg) => leg.txHash);
+    const outcome = {
+      txHash: txHashes[0],
+      txHashes,
+      executedPrice: formatPrice(executedPrice),
+      amountOut: filled.reduce((sum, leg) => sum + parseFloat(leg.amountOut), 0).toFixed(6),
+      legs: report
+    };
+
+    if (filled.length === legs.length) {
+      console.log(`\n✅ [${shortId}] STAGE 5/5: CONFIRMED (all ${legs.length} legs filled)`);
+      console.log(`  └─ Executed Price: ${formatPrice(executedPrice)} (volume-weighted)`);
+      console.log(`\n${'═'.repeat(80)}`);
+      emit({ status: 'confirmed', ...outcome });
+      const finalized = Promise.all(results.map((result) => result.value.finalized))
+        .then((slots) => slots.reduce((max, slot) => Math.max(max, slot ?? 0), 0) || null);
+      return { txHash: outcome.txHash, finalized };
+    } else {
+      console.log(`\n⚠️  [${shortId}] PARTIALLY FILLED: ${filled.length}/${legs.length} legs, ${filledAmountIn.toFixed(2)} of ${data.amountIn} ${data.tokenIn}`);
+      for (const leg of report.filter((l) => !l.filled)) {
+        console.log(`  └─ ✗ ${leg.dex}: ${leg.error}`);
+      }
+      console.log(`\n${'═'.repeat(80)}`);
+      emit({
+        status: 'partially_filled',
+        ...outcome,
+        filledAmountIn,
+        unfilledAmountIn: data.amountIn - filledAmountIn
+      });
+    }
+    return { txHash: outcome.txHash, finalized: null };
+  };
+
+  /**
+   * Emit 'finalized' once the confirmed swap reaches finalized commitment
+   * Runs detached so the worker is freed as soon as the order is confirmed
+   * @param {Promise<number|null>} finalized - Resolves with the finalized slot (null when unknown)
+   */
+  const awaitFinality = (finalized) => {
+    finalized.then((slot) => {
+      console.log(`  🏁 [${shortId}] FINALIZED${slot ? ` (slot ${slot})` : ''}`);
+      emit({ status: 'finalized', ...(slot && { slot }) });
+    }, (err) => {
+      console.error(`[${shortId}] Finality tracking failed:`, err?.message || err);
+    });
+  };
+
+  try {
+    // Stage 1: Order received
+    console.log(`\n⏳ [${shortId}] STAGE 1/5: PENDING`);
+    console.log(`  └─ Order received in queue, awaiting processing...`);
+    emit({ status: 'pending' });
+    checkpoint('pending');
+
+    // Stage 2: Routing - fetch quotes from every venue in parallel
+    console.log(`\n🔀 [${shortId}] STAGE 2/5: ROUTING (Fetching DEX quotes in parallel...)`);
+    const startRoute = now();
+    console.log(`  └─ Querying ${dex.registry.list().map((a) => a.name).join(', ')}...`);
+    const { quotes, excluded } = await dex.getQuotes(data.tokenIn, data.tokenOut, data.amountIn);
+    for (const quote of quotes) {
+      console.log(`     ✓ ${quote.dex} Quote: ${formatPrice(quote.price)} (fee: ${(quote.fee * 100).toFixed(2)}%, impact: ${(quote.priceImpact * 100).toFixed(2)}%) → ${quote.amountOut.toFixed(6)} ${data.tokenOut}`);
+    }
+    for (const { dex: venue, reason } of excluded) {
+      console.log(`     ✗ ${venue} excluded: ${reason}`);
+    }
+    const routeTime = now() - startRoute;
+
+    // Quotes come back sorted best first (highest output after fees and price impact)
+    const [chosen, other] = quotes;
+    const legs = data.split ? dex.planSplit(quotes, data.amountIn) : [];
+    const split = legs.length > 1;
+    console.log(`\n📊 [${shortId}] ROUTING DECISION:`);
+    console.log(`  ✅ SELECTED: ${chosen.dex.toUpperCase()} @ ${formatPrice(chosen.price)} → ${chosen.amountOut.toFixed(6)} ${data.tokenOut}`);
+    if (other) {
+      console.log(`     vs.    ${other.dex.toUpperCase()} @ ${formatPrice(other.price)} → ${other.amountOut.toFixed(6)} ${data.tokenOut} (difference: ${(chosen.amountOut - other.amountOut).toFixed(6)})`);
+    }
+    if (split) {
+      console.log(`  🔀 SPLIT across ${legs.length} venues:`);
+      for (const leg of legs) {
+        console.log(`     ${leg.dex.toUpperCase()}: ${(leg.share * 100).toFixed(0)}% (${leg.amountIn.toFixed(2)} ${data.tokenIn}) @ ${formatPrice(leg.price)} → ${leg.amountOut.toFixed(6)} ${data.tokenOut}`);
+      }
+    }
+    console.log(`  ⏱️  Route time: ${routeTime}ms`);
+
+    // A split order is routed at the blended price of its legs
+    const route = split
+      ? {
+        dex: 'split',
+        price: data.amountIn / legs.reduce((sum, leg) => sum + leg.amountIn / leg.price, 0),
+        amountOut: legs.reduce((sum, leg) => sum + leg.amountOut, 0)
+      }
+      : chosen;
+    emit({
+      status: 'routing',
+      chosen: route.dex,
+      price: formatPrice(route.price),
+      amountOut: route.amountOut.toFixed(6),
+      quotes: quotes.map((q) => ({
+        dex: q.dex,
+        price: formatPrice(q.price),
+        fee: q.fee,
+        priceImpact: q.priceImpact.toFixed(4),
+        amountOut: q.amountOut.toFixed(6)
+      })),
+      ...(split && {
+        legs: legs.map((leg) => ({
+          dex: leg.dex,
+          share: leg.share,
+          amountIn: leg.amountIn,
+          price: formatPrice(leg.price),
+          amountOut: leg.amountOut.toFixed(6)
+        }))
+      }),
+      excluded
+    });
+    checkpoint('routing');
+
+    // Stage 3: Building - prepare transaction
+    console.log(`\n🔨 [${shortId}] STAGE 3/5: BUILDING (Preparing transaction...)`);
+    const startBuild = now();
+    await simulateLatency(200); // Simulate transaction preparation
+    const buildTime = now() - startBuild;
+    console.log(`  └─ ✓ Transaction prepared (${buildTime}ms)`);
+    emit({ status: 'building' });
+    checkpoint('building');
+
+    // Past this point the swap is on its way: no more cancels or amendments
+    const record = orders.get(orderId);
+    if (record) record.swapSent = true;
+
+    /**
+     * Send one swap, retrying transient failures, with the slippage tolerance as its minimum output
+     *
+     * Every attempt reports its on-chain progress: 'submitted' with the
+     * signature as soon as the transaction is sent, then 'processed' when it
+     * lands or 'tx_expired' when its blockhash ages out first.
+     *
+     * The swap carries minAmountOut = routed amountOut × (1 - slippage), and
+     * the venue reverts it before it touches the pool when the market has
+     * moved further than that. Fills from venues that cannot revert are held
+     * to the same minimum afterwards.
+     *
+     * @param {{dex: string, price: number, fee: number, amountOut: number}} target - Venue, and the price and output it was routed at
+     * @param {number} amountIn - Amount of tokenIn for this swap
+     * @param {number} [leg] - Leg number of a split order, reported in emitted events
+     * @returns {Promise<{dex, txHash, executedPrice, slippage, slot, finalized}>} Swap settled at 'confirmed' commitment
+     * @throws {OrderError} SLIPPAGE_EXCEEDED when the swap would have paid out less than its minimum
+     */
+    const swap = async (target, amountIn, leg) => {
+      const tag = leg ? { leg, dex: target.dex } : {};
+      const label = leg ? ` (leg ${leg} on ${target.dex})` : '';
+      const startExec = now();
+      const maxAttempts = options.maxAttempts || 1;
+      const onUpdate = ({ stage, signature, ...progress }) => {
+        if (stage === 'submitted') {
+          console.log(`  └─ 📡 Sent${label}: ${signature.substring(0, 24)}...${progress.lastValidSlot ? ` (valid until slot ${progress.lastValidSlot})` : ''}`);
+          emit({ status: 'submitted', ...tag, txHash: signature, ...progress });
+        } else if (stage === 'processed') {
+          console.log(`  └─ ⛓️  Processed${label} in slot ${progress.slot}`);
+          emit({ status: 'processed', ...tag, txHash: signature, ...progress });
+        } else if (stage === 'expired') {
+          console.log(`  └─ ⌛ Expired${label}: blockhash not valid after slot ${progress.lastValidSlot}`);
+          emit({ status: 'tx_expired', ...tag, txHash: signature, ...progress });
+        }
+      };
+      const minAmountOut = target.amountOut * (1 - data.slippage);
+
+      /**
+       * Failure for a swap that paid out, or would have paid out, less than minAmountOut
+       * (a higher executed price is worse, matching the routing rule above)
+       * @param {number} executedPrice - Price of the fill
+       * @param {number} amountOut - Output of the fill
+       * @param {boolean} reverted - True when the venue reverted the swap instead of filling it
+       * @returns {OrderError} SLIPPAGE_EXCEEDED
+       */
+      const slippageExceeded = (executedPrice, amountOut, reverted) => {
+        const slippage = (executedPrice - target.price) / target.price;
+        console.log(`  └─ ✗ Slippage${label}: ${amountOut.toFixed(6)} ${data.tokenOut} below the minimum ${minAmountOut.toFixed(6)}${reverted ? ', swap reverted' : ''}`);
+        return new OrderError(
+          'SLIPPAGE_EXCEEDED',
+          `Slippage ${(slippage * 100).toFixed(2)}% exceeded tolerance ${(data.slippage * 100).toFixed(2)}%`,
+          {
+            expectedPrice: formatPrice(target.price),
+            executedPrice: formatPrice(executedPrice),
+            slippage: slippage.toFixed(4),
+            tolerance: data.slippage,
+            minAmountOut: minAmountOut.toFixed(6),
+            amountOut: amountOut.toFixed(6),
+            reverted
+          }
+        );
+      };
+
+      let exec;
+      try {
+        exec = await withRetry(() => dex.executeSwap(target.dex, { ...data, amountIn, minAmountOut }, onUpdate), {
+          maxAttempts,
+          backoffMs: options.backoffMs || 0,
+          onRetry: (attempt, delayMs, err) => {
+            const reason = err?.message || String(err);
+            console.log(`  └─ ⚠️  Swap failed${label} (${reason}), retry ${attempt}/${maxAttempts} in ${delayMs}ms`);
+            emit({ status: 'retrying', ...tag, attempt, maxAttempts, delayMs, error: reason });
+          }
+        });
+      } catch (err) {
+        // The venue reverted the swap at its minimum output; the pool is untouched
+        if (err instanceof OrderError && err.code === 'SLIPPAGE_EXCEEDED' && err.details) {
+          throw slippageExceeded(err.details.executedPrice, err.details.amountOut, true);
+        }
+        throw err;
+      }
+      const execTime = now() - startExec;
+      console.log(`  └─ ✓ Transaction confirmed${label} in ${execTime}ms`);
+      console.log(`     TX: ${exec.txHash.substring(0, 24)}...`);
+
+      // Venues that settle through execute() may not honour minAmountOut
+      const amountOut = exec.amountOut ?? amountIn * (1 - target.fee) / exec.executedPrice;
+      if (amountOut < minAmountOut) {
+        throw slippageExceeded(exec.executedPrice, amountOut, false);
+      }
+      const slippage = (exec.executedPrice - target.price) / target.price;
+      return { ...exec, dex: target.dex, slippage };
+    };
+
+    /**
+     * Send a swap, failing over to the next-best venue when the current one fails
+     *
+     * Venue errors (rejected or unconfirmed transactions, liquidity gone) trigger
+     * a fresh quote from the venues not tried yet. The best of them is used if
+     * its price is at most `maxDeterioration` worse than the originally routed
+     * price, up to `maxVenues` venues in total. Slippage failures are final.
+     *
+     * @param {{dex: string, price: number}} target - First venue and its routed price
+     * @param {number} amountIn - Amount of tokenIn for this swap
+     * @param {number} [leg] - Leg number of a split order
+     * @returns {Promise<{dex, txHash, executedPrice, slippage, slot, finalized}>} Settled swap
+     * @throws {OrderError} NO_FALLBACK_VENUE / REROUTE_PRICE_DETERIORATED / VENUES_EXHAUSTED when failover is impossible
+     */
+    const swapWithFallback = async (target, amountIn, leg) => {
+      const maxVenues = options.maxVenues || 1;
+      const maxDeterioration = options.maxDeterioration || 0;
+      const tried = [target.dex];
+      for (let current = target; ;) {
+        try {
+          return await swap(current, amountIn, leg);
+        } catch (err) {
+          const reroutable = !(err instanceof OrderError) || REROUTABLE_CODES.has(err.code);
+          if (!reroutable) throw err;
+          const reason = err?.message || String(err);
+          if (tried.length >= maxVenues) {
+            if (maxVenues === 1) throw err;
+            throw new OrderError('VENUES_EXHAUSTED', `All ${tried.length} venues tried failed, last: ${reason}`, { tried, error: reason });
+          }
+
+          let next;
+          try {
+            const { quotes: fresh } = await dex.getQuotes(data.tokenIn, data.tokenOut, amountIn);
+            next = fresh.find((q) => !tried.includes(q.dex));
+          } catch (quoteErr) {
+            // No venue answered the re-quote; fall through to NO_FALLBACK_VENUE
+          }
+          if (!next) {
+            throw new OrderError('NO_FALLBACK_VENUE', `${current.dex} failed (${reason}) and no other venue is available`, { tried, error: reason });
+          }
+
+          const deterioration = (next.price - target.price) / target.price;
+          if (deterioration > maxDeterioration) {
+            throw new OrderError(
+              'REROUTE_PRICE_DETERIORATED',
+              `${current.dex} failed (${reason}); best alternative ${next.dex} is ${(deterioration * 100).toFixed(2)}% worse than routed`,
+              { tried, error: reason, alternative: next.dex, deterioration: deterioration.toFixed(4), maxDeterioration }
+            );
+          }
+
+          tried.push(next.dex);
+          console.log(`  └─ 🔀 Rerouting${leg ? ` leg ${leg}` : ''}: ${current.dex} → ${next.dex} (${reason})`);
+          emit({
+            status: 'rerouting',
+            ...(leg && { leg }),
+            from: current.dex,
+            to: next.dex,
+            reason,
+            venueAttempt: tried.length,
+            maxVenues,
+            price: formatPrice(next.price),
+            deterioration: deterioration.toFixed(4)
+          });
+          current = next;
+        }
+      }
+    };
+
+    // Stage 4: Submitted - execute the swap on blockchain
+    if (split) {
+      console.log(`\n🚀 [${shortId}] STAGE 4/5: SUBMITTED (Broadcasting ${legs.length} legs...)`);
+      const { txHash, finalized } = settleSplit(legs, await Promise.allSettled(legs.map((leg, i) =>
+        swapWithFallback(leg, data.amountIn * leg.share, i + 1)
+      )));
+      if (finalized) awaitFinality(finalized);
+      return { txHash };
+    }
+
+    console.log(`\n🚀 [${shortId}] STAGE 4/5: SUBMITTED (Broadcasting to ${chosen.dex}...)`);
+    const exec = await swapWithFallback(chosen, data.amountIn);
+
+    // Stage 5: Confirmed - order complete
+    console.log(`\n✅ [${shortId}] STAGE 5/5: CONFIRMED (Order complete!)`);
+    console.log(`  └─ Executed Price: ${formatPrice(exec.executedPrice)} on ${exec.dex}`);
+    console.log(`  └─ Slippage: ${(exec.slippage * 100).toFixed(2)}% (tolerance ${(data.slippage * 100).toFixed(2)}%)`);
+    console.log(`\n${'═'.repeat(80)}`);
+    emit({
+      status: 'confirmed',
+      dex: exec.dex,
+      txHash: exec.txHash,
+      executedPrice: formatPrice(exec.executedPrice),
+      amountOut: (exec.amountOut ?? data.amountIn / exec.executedPrice).toFixed(6),
+      ...(exec.slot !== undefined && { slot: exec.slot, confirmedSlot: exec.confirmedSlot })
+    });
+    awaitFinality(exec.finalized);
+    return { txHash: exec.txHash };
+  } catch (err) {
+    if (err instanceof OrderError && err.code === 'CANCELLED') {
+      console.log(`\n🛑 [${shortId}] CANCELLED after ${err.details.stage}`);
+      console.log(`${'═'.repeat(80)}`);
+      emit({ status: 'cancelled', stage: err.details.stage });
+      return { cancelled: true };
+    }
+
+    // On error, emit failed status and rethrow for logging
+    const reason = err?.message || String(err);
+    console.log(`\n❌ [${shortId}] STAGE FAILED: ${reason}`);
+    console.log(`${'═'.repeat(80)}`);
+    if (err instanceof OrderError) {
+      emit({ status: 'failed', error: reason, code: err.code, details: err.details });
+    } else {
+      emit({ status: 'failed', error: reason });
+    }
+    throw err;
+  }
+}
+
+// ============ ORDER QUEUE ============
+
+/**
+ * Number of orders processed at the same time
+ * Uses ORDER_CONCURRENCY environment variable or defaults to 5
+ */
+const ORDER_CONCURRENCY = positiveIntSetting('ORDER_CONCURRENCY', 5);
+
+/**
+ * Maximum number of orders started per second
+ * Uses ORDER_RATE_LIMIT environment variable or defaults to 10
+ */
+const ORDER_RATE_LIMIT = positiveIntSetting('ORDER_RATE_LIMIT', 10);
+
+/**
+ * Attempts per executeSwap call before the order fails
+ * Uses ORDER_MAX_ATTEMPTS environment variable or defaults to 3
+ */
+const ORDER_MAX_ATTEMPTS = positiveIntSetting('ORDER_MAX_ATTEMPTS', 3);
+
+/**
+ * Delay before the first retry; doubles on every further attempt
+ * Uses ORDER_BACKOFF_MS environment variable or defaults to 500ms
+ */
+const ORDER_BACKOFF_MS = nonNegativeSetting('ORDER_BACKOFF_MS', 500, { integer: true });
+
+/**
+ * Venues a swap may be sent to (the routed one plus fallbacks) before the order fails
+ * Uses ORDER_MAX_VENUES environment variable or defaults to 3
+ */
+const ORDER_MAX_VENUES = positiveIntSetting('ORDER_MAX_VENUES', 3);
+
+/**
+ * How much worse than the routed price a fallback venue may quote (fraction)
+ * Uses ORDER_MAX_REROUTE_DETERIORATION environment variable or defaults to 0.01 (1%)
+ */
+const ORDER_MAX_REROUTE_DETERIORATION = nonNegativeSetting('ORDER_MAX_REROUTE_DETERIORATION', 0.01);
+
+/**
+ * Failure codes after which another venue may still fill the swap
+ * (any error that is not an OrderError is treated as a venue failure too)
+ */
+const REROUTABLE_CODES = new Set(['INSUFFICIENT_LIQUIDITY', 'NO_POOL', 'UNKNOWN_VENUE']);
+
+/**
+ * Maximum number of orders waiting for a worker
+ * Uses ORDER_QUEUE_MAX environment variable or defaults to 1000
+ */
+const ORDER_QUEUE_MAX = positiveIntSetting('ORDER_QUEUE_MAX', 1000);
+
+/**
+ * OrderQueue runs orders through processOrder with bounded throughput
+ *
+ * - At most `concurrency` orders are processed at once
+ * - At most `ratePerSecond` orders start within any one-second window
+ * - Orders beyond that wait in FIFO order; priority orders jump the line
+ * - Submissions are rejected with QUEUE_FULL once `maxSize` orders are waiting
+ */
+class OrderQueue {
+  /**
+   * @param {object} options - {concurrency, ratePerSecond, maxAttempts, backoffMs, maxVenues, maxDeterioration, maxSize}
+   */
+  constructor(options) {
+    this.concurrency = options.concurrency;
+    this.ratePerSecond = options.ratePerSecond;
+    this.retry = {
+      maxAttempts: options.maxAttempts,
+      backoffMs: options.backoffMs,
+      maxVenues: options.maxVenues,
+      maxDeterioration: options.maxDeterioration
+    };
+    this.maxSize = options.maxSize;
+    this.waiting = []; // [{orderId, data}]
+    this.active = 0;
+    this.startTimes = []; // start timestamps within the last second
+    this.timer = null;
+  }
+
+  /**
+   * Add an order to the queue
+   * @param {string} orderId - Unique order identifier
+   * @param {object} data - Order data passed to processOrder
+   * @param {{priority?: boolean}} [options] - Priority orders are placed at the front
+   * @returns {number} Number of orders waiting ahead of this one
+   * @throws {OrderError} QUEUE_FULL when the queue is at capacity
+   */
+  add(orderId, data, { priority = false } = {}) {
+    if (this.waiting.length >= this.maxSize) {
+      throw new OrderError('QUEUE_FULL', `Order queue is full (${this.maxSize} waiting)`);
+    }
+    const job = { orderId, data };
+    if (priority) {
+      this.waiting.unshift(job);
+    } else {
+      this.waiting.push(job);
+    }
+    const ahead = priority ? 0 : this.waiting.length - 1;
+    this.drain();
+    return ahead;
+  }
+
+  /**
+   * Remove an order that has not started yet
+   * @param {string} orderId - Unique order identifier
+   * @returns {boolean} True if the order was waiting and has been removed
+   */
+  remove(orderId) {
+    const index = this.waiting.findIndex((job) => job.orderId === orderId);
+    if (index === -1) return false;
+    this.waiting.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Start as many waiting orders as concurrency and rate limits allow
+   * Reschedules itself when the per-second rate cap is reached
+   */
+  drain() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      const time = now();
+      while (this.startTimes.length > 0 && time - this.startTimes[0] >= 1000) {
+        this.startTimes.shift();
+      }
+      if (this.startTimes.length >= this.ratePerSecond) {
+        if (!this.timer) {
+          this.timer = clock.setTimeout(() => {
+            this.timer = null;
+            this.drain();
+          }, 1000 - (time - this.startTimes[0]));
+        }
+        return;
+      }
+      this.startTimes.push(time);
+      this.run(this.waiting.shift());
+    }
+  }
+
+  /**
+   * Process a single order and free its worker slot afterwards
+   * @param {{orderId: string, data: object}} job - Queued order
+   */
+  async run({ orderId, data }) {
+    this.active++;
+    try {
+      await processOrder(data, orderId, this.retry);
+    } catch (e) {
+      console.error(`[${orderId.substring(0, 12)}] Fatal Error:`, e.message);
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+}
+
+/**
+ * Shared queue for every order ready to execute
+ */
+const orderQueue = new OrderQueue({
+  concurrency: ORDER_CONCURRENCY,
+  ratePerSecond: ORDER_RATE_LIMIT,
+  maxAttempts: ORDER_MAX_ATTEMPTS,
+  backoffMs: ORDER_BACKOFF_MS,
+  maxVenues: ORDER_MAX_VENUES,
+  maxDeterioration: ORDER_MAX_REROUTE_DETERIORATION,
+  maxSize: ORDER_QUEUE_MAX
+});
+
+/**
+ * Hand a triggered limit/sniper order to the queue
+ * A full queue fails the order instead of throwing back into the scheduler
+ * @param {string} orderId - Unique order identifier
+ * @param {object} data - Order data passed to processOrder
+ * @param {{priority?: boolean}} [options] - Queue options
+ */
+function dispatchOrder(orderId, data, options) {
+  try {
+    orderQueue.add(orderId, data, options);
+  } catch (err) {
+    console.log(`\n❌ [${orderId.substring(0, 12)}] ${err.message}`);
+    emitStatus(orderId, { status: 'failed', error: err.message, code: err.code });
+  }
+}
+
+// ============ LIMIT ORDER SCHEDULER ============
+
+/**
+ * How often parked limit orders re-check DEX quotes
+ * Uses LIMIT_POLL_INTERVAL_MS environment variable or defaults to 2 seconds
+ */
+const LIMIT_POLL_INTERVAL_MS = parseInt(process.env.LIMIT_POLL_INTERVAL_MS || '2000', 10);
+
+/**
+ * Expiry applied to limit orders that do not specify expiresInMs (5 minutes)
+ */
+const LIMIT_DEFAULT_EXPIRY_MS = 5 * 60 * 1000;
+
+/**
+ * Longest expiry a limit or sniper order may request (24 hours)
+ */
+const ORDER_MAX_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * LimitOrderScheduler parks limit orders until the market reaches their price
+ *
+ * On every poll it fetches quotes from every venue for each parked order.
+ * Once the best quote is at or below the order's limitPrice (lower price =
+ * better rate, matching the routing rule in processOrder) the order is handed
+ * to the order queue for execution. Orders still parked at their expiry time
+ * are dropped with an 'expired' status.
+ *
+ * Emits over WebSocket:
+ * - waiting - Order parked, includes the latest best quote after each poll
+ * - expired - Expiry reached before the limit price was crossed
+ */
+class LimitOrderScheduler {
+  /**
+   * @param {DexRouter} router - Router used to fetch quotes while waiting
+   * @param {number} pollIntervalMs - Delay between quote checks
+   */
+  constructor(router, pollIntervalMs) {
+    this.router = router;
+    this.pollIntervalMs = pollIntervalMs;
+    this.orders = new Map(); // orderId -> { data, expiresAt }
+    this.timer = null; // set from arming a poll until that poll has finished
+  }
+
+  /**
+   * Park a limit order until its price is crossed or it expires
+   * The order data is kept as given, so amendments made to it while parked apply when it triggers
+   * @param {string} orderId - Unique order identifier
+   * @param {object} data - Order data {type, tokenIn, tokenOut, amountIn, limitPrice, expiresInMs}
+   * @param {number} [ttlMs] - Time until expiry (data.expiresInMs or the default; recovery passes what is left)
+   * @returns {number} Expiry timestamp (ms since epoch)
+   */
+  schedule(orderId, data, ttlMs = data.expiresInMs || LIMIT_DEFAULT_EXPIRY_MS) {
+    const expiresAt = now() + ttlMs;
+    this.orders.set(orderId, { data, expiresAt });
+
+    const shortId = orderId.substring(0, 12);
+    console.log(`\n⏸️  LIMIT ORDER PARKED [${shortId}]`);
+    console.log(`   └─ Trigger: best quote ≤ $${data.limitPrice}, expires ${new Date(expiresAt).toISOString()}`);
+    emitStatus(orderId, { status: 'waiting', limitPrice: data.limitPrice, expiresAt: new Date(expiresAt).toISOString() });
+
+    if (!this.timer) this.schedulePoll();
+    return expiresAt;
+  }
+
+  /**
+   * Remove a parked order without emitting anything
+   * @param {string} orderId - Unique order identifier
+   * @returns {boolean} True if the order was parked here
+   */
+  cancel(orderId) {
+    return this.orders.delete(orderId);
+  }
+
+  /**
+   * Arm the next poll on the simulation clock
+   * The timer is parked: a virtual clock reaches it through other activity or
+   * an explicit advance, instead of racing through polls to the expiry
+   */
+  schedulePoll() {
+    this.timer = clock.setTimeout(() => this.poll(), this.pollIntervalMs, { parked: true });
+  }
+
+  /**
+   * Check every parked order once, then arm the next poll
+   * The next poll starts pollIntervalMs after this one finished, so polls never overlap
+   */
+  async poll() {
+    try {
+      await Promise.all([...this.orders].map(([orderId, entry]) => this.check(orderId, entry)));
+    } finally {
+      // Stop polling while nothing is parked; schedule() restarts it
+      if (this.orders.size > 0) {
+        this.schedulePoll();
+      } else {
+        this.timer = null;
+      }
+    }
+  }
+
+  /**
+   * Expire, trigger or keep waiting a single parked order
+   * @param {string} orderId - Unique order identifier
+   * @param {{data: object, expiresAt: number}} entry - Parked order
+   */
+  async check(orderId, entry) {
+    const { data, expiresAt } = entry;
+    const shortId = orderId.substring(0, 12);
+
+    if (now() >= expiresAt) {
+      this.orders.delete(orderId);
+      console.log(`\n⌛ [${shortId}] LIMIT ORDER EXPIRED (limit $${data.limitPrice} never reached)`);
+      emitStatus(orderId, { status: 'expired', limitPrice: data.limitPrice });
+      return;
+    }
+
+    let best;
+    try {
+      const { quotes } = await this.router.getQuotes(data.tokenIn, data.tokenOut, data.amountIn);
+      best = quotes[0];
+    } catch (err) {
+      // Keep the order parked; the next poll will try again
+      console.log(`   ⚠️  [${shortId}] Quote check failed: ${err?.message || err}`);
+      return;
+    }
+
+    // The order may have been cancelled while quotes were in flight
+    if (!this.orders.has(orderId)) return;
+
+    if (best.price > data.limitPrice) {
+      emitStatus(orderId, { status: 'waiting', limitPrice: data.limitPrice, bestPrice: formatPrice(best.price), dex: best.dex }, { persist: false });
+      return;
+    }
+
+    this.orders.delete(orderId);
+    console.log(`\n🎯 [${shortId}] LIMIT PRICE CROSSED: ${best.dex.toUpperCase()} @ ${formatPrice(best.price)} ≤ ${data.limitPrice}`);
+    dispatchOrder(orderId, data);
+  }
+}
+
+/**
+ * Shared scheduler for all parked limit orders
+ */
+const limitScheduler = new LimitOrderScheduler(dexRouter, LIMIT_POLL_INTERVAL_MS);
+
+// ============ SNIPER ORDERS ============
+
+/**
+ * Expiry applied to sniper orders that do not specify expiresInMs (30 minutes)
+ */
+const SNIPER_DEFAULT_EXPIRY_MS = 30 * 60 * 1000;
+
+/**
+ * Slippage tolerance used when a sniper order does not provide one
+ * Launch pools are thin and volatile, so this is deliberately wide
+ * Uses SNIPER_SLIPPAGE environment variable or defaults to 15%
+ */
+const SNIPER_SLIPPAGE = parseFloat(process.env.SNIPER_SLIPPAGE || '0.15');
+
+/**
+ * SniperScheduler holds sniper orders until their tokenOut gets a pool
+ *
+ * Subscribes to the pool feed's 'poolCreated' events. When a pool appears
+ * for a watched token, every sniper order for that token is put at the
+ * front of the order queue with aggressive slippage settings.
+ *
+ * Emits over WebSocket:
+ * - waiting - Order registered, waiting for a pool launch
+ * - expired - Expiry reached before a pool appeared
+ */
+class SniperScheduler {
+  /**
+   * @param {MockPoolFeed} feed - Source of pool-creation events
+   */
+  constructor(feed) {
+    this.feed = feed;
+    this.orders = new Map(); // orderId -> { data, timer }
+    feed.on('poolCreated', (event) => this.onPoolCreated(event));
+  }
+
+  /**
+   * Register a sniper order for a token launch
+   * The order data is kept as given, so amendments made to it while armed apply when it fires
+   * @param {string} orderId - Unique order identifier
+   * @param {object} data - Order data {type, tokenIn, tokenOut, amountIn, slippage, expiresInMs}
+   * @param {number} [ttlMs] - Time until expiry (data.expiresInMs or the default; recovery passes what is left)
+   * @returns {number} Expiry timestamp (ms since epoch)
+   */
+  schedule(orderId, data, ttlMs = data.expiresInMs || SNIPER_DEFAULT_EXPIRY_MS) {
+    const expiresAt = now() + ttlMs;
+    // Parked, so a virtual clock does not expire the order before a launch can fire it
+    const timer = clock.setTimeout(() => this.expire(orderId), ttlMs, { parked: true });
+    this.orders.set(orderId, { data, timer });
+
+    const shortId = orderId.substring(0, 12);
+    console.log(`\n🎯 SNIPER ORDER ARMED [${shortId}]`);
+    console.log(`   └─ Waiting for a ${data.tokenOut} pool, expires ${new Date(expiresAt).toISOString()}`);
+    emitStatus(orderId, { status: 'waiting', token: data.tokenOut, expiresAt: new Date(expiresAt).toISOString() });
+
+    this.feed.watch(data.tokenOut);
+    return expiresAt;
+  }
+
+  /**
+   * Remove an armed order without emitting anything
+   * @param {string} orderId - Unique order identifier
+   * @returns {boolean} True if the order was armed here
+   */
+  cancel(orderId) {
+    const entry = this.orders.get(orderId);
+    if (!entry) return false;
+    clock.clearTimeout(entry.timer);
+    this.orders.delete(orderId);
+    return true;
+  }
+
+  /**
+   * Drop a sniper order whose token never launched
+   * @param {string} orderId - Unique order identifier
+   */
+  expire(orderId) {
+    const entry = this.orders.get(orderId);
+    if (!entry) return;
+    this.orders.delete(orderId);
+    console.log(`\n⌛ [${orderId.substring(0, 12)}] SNIPER ORDER EXPIRED (no ${entry.data.tokenOut} pool launched)`);
+    emitStatus(orderId, { status: 'expired', token: entry.data.tokenOut });
+  }
+
+  /**
+   * Fire every sniper order waiting on the launched token
+   * @param {{token, dex, createdAt}} event - Pool-creation event from the feed
+   */
+  onPoolCreated(event) {
+    for (const [orderId, { data, timer }] of this.orders) {
+      if (data.tokenOut !== event.token) continue;
+      clock.clearTimeout(timer);
+      this.orders.delete(orderId);
+
+      const shortId = orderId.substring(0, 12);
+      console.log(`\n🔫 [${shortId}] SNIPER FIRED on ${event.dex.toUpperCase()} ${event.token} launch`);
+      const order = { ...data, slippage: data.slippage ?? SNIPER_SLIPPAGE };
+      // Launch windows are short: skip ahead of queued market orders
+      dispatchOrder(orderId, order, { priority: true });
+    }
+  }
+}
+
+/**
+ * Shared scheduler for all armed sniper orders
+ */
+const sniperScheduler = new SniperScheduler(poolFeed);
+
+// ============ ORDER VALIDATION ============
+
+/**
+ * Order types accepted by POST /api/orders/execute
+ */
+const ORDER_TYPES = ['market', 'limit', 'sniper'];
+
+/**
+ * Largest slippage tolerance an order may request (50%)
+ */
+const MAX_SLIPPAGE = 0.5;
+
+/**
+ * Check a slippage tolerance value
+ * @param {*} value - Candidate tolerance
+ * @returns {boolean} True for numbers in (0, MAX_SLIPPAGE]
+ */
+function isValidSlippage(value) {
+  return typeof value === 'number' && value > 0 && value <= MAX_SLIPPAGE;
+}
+
+/**
+ * Check a webhook receiver URL
+ * @param {*} value - Candidate URL
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+function isValidCallbackUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Validate an order submission body
+ * @param {object} data - Parsed request body
+ * @returns {string|null} Error message, or null when the order is valid
+ */
+function validateOrder(data) {
+  if (!data || !ORDER_TYPES.includes(data.type) || !data.tokenIn || !data.tokenOut || !data.amountIn) {
+    return `invalid order. required: type (${ORDER_TYPES.join('|')}), tokenIn, tokenOut, amountIn`;
+  }
+
+  // Sniper orders may omit slippage and fall back to SNIPER_SLIPPAGE
+  const slippageOptional = data.type === 'sniper' && data.slippage === undefined;
+  if (!slippageOptional && !isValidSlippage(data.slippage)) {
+    return `invalid order. slippage must be a number between 0 and ${MAX_SLIPPAGE} (e.g. 0.01 for 1%)`;
+  }
+
+  if (data.type === 'limit' && (typeof data.limitPrice !== 'number' || !(data.limitPrice > 0) || !Number.isFinite(data.limitPrice))) {
+    return 'invalid limit order. limitPrice must be a positive number';
+  }
+
+  if (data.type === 'sniper' && poolFeed.hasPool(data.tokenOut)) {
+    return `invalid sniper order. ${data.tokenOut} already has a pool, submit a market order instead`;
+  }
+
+  if (data.seed !== undefined && typeof data.seed !== 'number' && typeof data.seed !== 'string') {
+    return 'invalid order. seed must be a number or string';
+  }
+
+  if (data.split !== undefined && typeof data.split !== 'boolean') {
+    return 'invalid order. split must be true or false';
+  }
+
+  if (data.callbackUrl !== undefined && !isValidCallbackUrl(data.callbackUrl)) {
+    return 'invalid order. callbackUrl must be an http(s) URL';
+  }
+  if (data.callbackUrl !== undefined && isPrivateWebhookHost(new URL(data.callbackUrl).hostname)) {
+    return 'invalid order. callbackUrl must not point at a loopback, private or link-local address (set WEBHOOK_ALLOW_PRIVATE=1 to allow)';
+  }
+  if (data.callbackUrl !== undefined && !WEBHOOK_SECRET) {
+    return 'invalid order. callbackUrl needs WEBHOOK_SECRET to be set on the engine, or receivers could not verify deliveries';
+  }
+
+  if (data.type !== 'market' && data.expiresInMs !== undefined &&
+      (typeof data.expiresInMs !== 'number' || !(data.expiresInMs > 0) || data.expiresInMs > ORDER_MAX_EXPIRY_MS)) {
+    return `invalid ${data.type} order. expiresInMs must be between 1 and ${ORDER_MAX_EXPIRY_MS}`;
+  }
+
+  return null;
+}
+
+// ============ RISK CHECKS ============
+
+/**
+ * Account that owns orders when authentication is disabled
+ */
+const DEFAULT_ACCOUNT = 'default';
+
+/**
+ * Starting balances of every simulated account
+ * Uses RISK_INITIAL_BALANCES environment variable (JSON object, merged over the defaults)
+ */
+const RISK_INITIAL_BALANCES = {
+  SOL: 1000,
+  USDC: 250000,
+  USDT: 250000,
+  BONK: 5000000000,
+  JUP: 100000,
+  RAY: 50000,
+  ...JSON.parse(process.env.RISK_INITIAL_BALANCES || '{}')
+};
+
+/**
+ * Smallest order accepted, in USD at reference prices
+ * Uses RISK_MIN_ORDER_USD environment variable or defaults to 1
+ */
+const RISK_MIN_ORDER_USD = parseFloat(process.env.RISK_MIN_ORDER_USD || '1');
+
+/**
+ * Largest order accepted, in USD at reference prices
+ * Uses RISK_MAX_ORDER_USD environment variable or defaults to 250,000
+ */
+const RISK_MAX_ORDER_USD = parseFloat(process.env.RISK_MAX_ORDER_USD || '250000');
+
+/**
+ * USD notional an account may trade per UTC day
+ * Uses RISK_DAILY_NOTIONAL_USD environment variable or defaults to 1,000,000
+ */
+const RISK_DAILY_NOTIONAL_USD = parseFloat(process.env.RISK_DAILY_NOTIONAL_USD || '1000000');
+
+/**
+ * Shape of a token symbol that may be sniped before it is listed
+ */
+const TOKEN_SYMBOL_PATTERN = /^[A-Za-z0-9]{1,16}$/;
+
+/**
+ * HTTP status for each error code raised by RiskEngine
+ */
+const RISK_ERROR_STATUS = {
+  INVALID_AMOUNT: 400,
+  SAME_TOKEN: 400,
+  UNKNOWN_TOKEN: 400,
+  ORDER_TOO_SMALL: 422,
+  ORDER_TOO_LARGE: 422,
+  DAILY_NOTIONAL_EXCEEDED: 422,
+  INSUFFICIENT_BALANCE: 422
+};
+
+/**
+ * Statuses whose order reserved nothing anymore and traded nothing
+ */
+const UNFILLED_STATUSES = new Set(['failed', 'expired', 'cancelled']);
+
+/**
+ * RiskEngine runs pre-trade checks and keeps simulated account balances
+ *
+ * Checks, in order (each failure is an OrderError with its own code):
+ * - amountIn is a finite positive number (INVALID_AMOUNT)
+ * - tokenIn and tokenOut differ (SAME_TOKEN)
+ * - both tokens are listed or have a pool (UNKNOWN_TOKEN); a sniper order's
+ *   tokenOut only needs to look like a symbol, it is unlisted by definition
+ * - the order's USD value is within [minOrderUsd, maxOrderUsd]
+ *   (ORDER_TOO_SMALL / ORDER_TOO_LARGE)
+ * - the account's notional today stays within dailyNotionalUsd
+ *   (DAILY_NOTIONAL_EXCEEDED)
+ * - the account holds enough tokenIn not reserved by other open orders
+ *   (INSUFFICIENT_BALANCE)
+ *
+ * Accepted orders reserve their amountIn until they finish. On confirmation
+ * (or partial fill) the filled tokenIn is debited and the received tokenOut
+ * credited; failed, expired and cancelled orders release their reservation.
+ * Balances are derived from the order history, so rebuild() restores them
+ * after a restart.
+ */
+class RiskEngine {
+  /**
+   * @param {Map<string, object>} orders - Order records, for status updates and rebuilds
+   * @param {{initialBalances: object, minOrderUsd: number, maxOrderUsd: number, dailyNotionalUsd: number}} limits - Configuration
+   */
+  constructor(orders, { initialBalances, minOrderUsd, maxOrderUsd, dailyNotionalUsd }) {
+    this.orders = orders;
+    this.initialBalances = initialBalances;
+    this.limits = { minOrderUsd, maxOrderUsd, dailyNotionalUsd };
+    /** @type {Map<string, {balances: object, reserved: object}>} */
+    this.accounts = new Map();
+    /** @type {Map<string, {account: string, token: string, amount: number}>} orderId → reservation */
+    this.reservations = new Map();
+    /** @type {Map<string, number>} `${account}|${YYYY-MM-DD}` → USD notional of the orders created that UTC day */
+    this.notionalByDay = new Map();
+    /** @type {Map<string, {usd: number, filledAmountIn: (number|undefined)}>} orderId → what the order counts for now */
+    this.notionalCounted = new Map();
+  }
+
+  /**
+   * @param {object} record - Entry from the orders Map
+   * @returns {string} Account the order trades for
+   */
+  accountOf(record) {
+    return record.owner || DEFAULT_ACCOUNT;
+  }
+
+  /**
+   * Balances of an account, opened with the initial balances on first use
+   * @param {string} id - Account id
+   * @returns {{balances: object, reserved: object}} Mutable account state
+   */
+  account(id) {
+    if (!this.accounts.has(id)) {
+      this.accounts.set(id, { balances: { ...this.initialBalances }, reserved: {} });
+    }
+    return this.accounts.get(id);
+  }
+
+  /**
+   * @param {string} id - Account id
+   * @param {string} token - Token symbol
+   * @returns {number} Balance not reserved by open orders
+   */
+  available(id, token) {
+    const { balances, reserved } = this.account(id);
+    return (balances[token] || 0) - (reserved[token] || 0);
+  }
+
+  /**
+   * USD notional the account traded or has open today (UTC)
+   * @param {string} id - Account id
+   * @returns {number} Notional in USD
+   */
+  dailyNotional(id) {
+    const today = new Date(now()).toISOString().substring(0, 10);
+    return this.notionalByDay.get(`${id}|${today}`) || 0;
+  }
+
+  /**
+   * Update the running daily notional with an order's latest record
+   *
+   * An order counts toward the UTC day it was created: its amountIn while open
+   * or filled, the filled part once partially filled, nothing once it ended
+   * unfilled. Only the change from what it counted before is applied.
+   * @param {object} record - Entry from the orders Map, already updated
+   * @param {object} [event] - Status event just applied
+   */
+  trackNotional(record, event) {
+    const counted = this.notionalCounted.get(record.orderId);
+    const filledAmountIn = event?.status === 'partially_filled' ? event.filledAmountIn : counted?.filledAmountIn;
+    const usd = UNFILLED_STATUSES.has(record.status) ? 0 : usdValue(record.order.tokenIn, filledAmountIn ?? record.order.amountIn);
+    const key = `${this.accountOf(record)}|${record.createdAt.substring(0, 10)}`;
+    this.notionalByDay.set(key, (this.notionalByDay.get(key) || 0) + usd - (counted ? counted.usd : 0));
+    this.notionalCounted.set(record.orderId, { usd, filledAmountIn });
+  }
+
+  /**
+   * @param {string} token - Token symbol
+   * @returns {boolean} True for listed tokens and tokens with a pool
+   */
+  isKnownToken(token) {
+    return LISTED_TOKENS.includes(token) || poolFeed.hasPool(token);
+  }
+
+  /**
+   * Run every pre-trade check for a new order
+   * @param {string} id - Account id
+   * @param {object} data - Validated order request body
+   * @throws {OrderError} With one of the RISK_ERROR_STATUS codes
+   */
+  check(id, data) {
+    if (typeof data.amountIn !== 'number' || !Number.isFinite(data.amountIn) || !(data.amountIn > 0)) {
+      throw new OrderError('INVALID_AMOUNT', 'amountIn must be a finite positive number', { amountIn: data.amountIn });
+    }
+    if (data.tokenIn === data.tokenOut) {
+      throw new OrderError('SAME_TOKEN', 'tokenIn and tokenOut must differ', { token: data.tokenIn });
+    }
+    if (!this.isKnownToken(data.tokenIn)) {
+      throw new OrderError('UNKNOWN_TOKEN', `Unknown token ${data.tokenIn}`, { token: data.tokenIn, listed: LISTED_TOKENS });
+    }
+    const snipable = data.type === 'sniper' && TOKEN_SYMBOL_PATTERN.test(data.tokenOut);
+    if (!snipable && !this.isKnownToken(data.tokenOut)) {
+      throw new OrderError('UNKNOWN_TOKEN', `Unknown token ${data.tokenOut}`, { token: data.tokenOut, listed: LISTED_TOKENS });
+    }
+    this.checkSize(id, data.tokenIn, data.amountIn, 0);
+  }
+
+  /**
+   * Check the size, daily notional and balance limits for an amount
+   * @param {string} id - Account id
+   * @param {string} token - tokenIn of the order
+   * @param {number} amount - Requested amountIn
+   * @param {number} current - Amount the order already has reserved and counted (amendments)
+   * @throws {OrderError} ORDER_TOO_SMALL / ORDER_TOO_LARGE / DAILY_NOTIONAL_EXCEEDED / INSUFFICIENT_BALANCE
+   */
+  checkSize(id, token, amount, current) {
+    const usd = usdValue(token, amount);
+    if (usd < this.limits.minOrderUsd) {
+      throw new OrderError('ORDER_TOO_SMALL', `Order worth $${usd.toFixed(2)} is below the $${this.limits.minOrderUsd} minimum`,
+        { notionalUsd: usd, minOrderUsd: this.limits.minOrderUsd });
+    }
+    if (usd > this.limits.maxOrderUsd) {
+      throw new OrderError('ORDER_TOO_LARGE', `Order worth $${usd.toFixed(2)} exceeds the $${this.limits.maxOrderUsd} maximum`,
+        { notionalUsd: usd, maxOrderUsd: this.limits.maxOrderUsd });
+    }
+    const daily = this.dailyNotional(id) - usdValue(token, current);
+    if (daily + usd > this.limits.dailyNotionalUsd) {
+      throw new OrderError('DAILY_NOTIONAL_EXCEEDED', `Daily notional limit of $${this.limits.dailyNotionalUsd} exceeded`,
+        { notionalUsd: usd, usedUsd: daily, dailyNotionalUsd: this.limits.dailyNotionalUsd });
+    }
+    const available = this.available(id, token) + current;
+    if (amount > available) {
+      throw new OrderError('INSUFFICIENT_BALANCE', `Insufficient ${token} balance: ${available} available, ${amount} required`,
+        { token, available, required: amount });
+    }
+  }
+
+  /**
+   * Check a new amountIn for an order that has not sent its swap yet
+   * @param {object} record - Entry from the orders Map
+   * @param {number} amountIn - Amended amountIn
+   * @throws {OrderError} Like checkSize
+   */
+  checkAmendment(record, amountIn) {
+    this.checkSize(this.accountOf(record), record.order.tokenIn, amountIn, record.order.amountIn);
+  }
+
+  /**
+   * Reserve an order's amountIn until it finishes
+   * @param {string} orderId - Unique order identifier
+   * @param {string} id - Account id
+   * @param {string} token - tokenIn of the order
+   * @param {number} amount - Amount to reserve
+   */
+  reserve(orderId, id, token, amount) {
+    this.release(orderId);
+    const { reserved } = this.account(id);
+    reserved[token] = (reserved[token] || 0) + amount;
+    this.reservations.set(orderId, { account: id, token, amount });
+  }
+
+  /**
+   * Give back whatever an order still has reserved
+   * @param {string} orderId - Unique order identifier
+   */
+  release(orderId) {
+    const reservation = this.reservations.get(orderId);
+    if (!reservation) return;
+    const { reserved } = this.account(reservation.account);
+    reserved[reservation.token] -= reservation.amount;
+    this.reservations.delete(orderId);
+  }
+
+  /**
+   * Book a fill: debit the tokenIn spent, credit the tokenOut received
+   * @param {object} record - Entry from the orders Map
+   * @param {object} event - 'confirmed' or 'partially_filled' event
+   */
+  settle(record, event) {
+    const { tokenIn, tokenOut, amountIn } = record.order;
+    const spent = event.filledAmountIn ?? amountIn;
+    const received = event.amountOut !== undefined ? parseFloat(event.amountOut) : spent / parseFloat(event.executedPrice);
+    const { balances } = this.account(this.accountOf(record));
+    balances[tokenIn] = (balances[tokenIn] || 0) - spent;
+    balances[tokenOut] = (balances[tokenOut] || 0) + received;
+    this.release(record.orderId);
+  }
+
+  /**
+   * Keep reservations and balances in step with an order's status updates
+   * @param {string} orderId - Order the update belongs to
+   * @param {object} event - Status update as emitted
+   */
+  onStatus(orderId, event) {
+    const record = this.orders.get(orderId);
+    if (!record) return;
+    if (event.amended?.amountIn !== undefined) {
+      this.reserve(orderId, this.accountOf(record), record.order.tokenIn, event.amended.amountIn);
+    } else if (event.status === 'confirmed' || event.status === 'partially_filled') {
+      this.settle(record, event);
+    } else if (UNFILLED_STATUSES.has(event.status)) {
+      this.release(orderId);
+    }
+  }
+
+  /**
+   * Derive balances and reservations from the recorded order history
+   */
+  rebuild() {
+    this.accounts.clear();
+    this.reservations.clear();
+    for (const record of this.orders.values()) {
+      const fill = record.events.filter((e) => e.status === 'confirmed' || e.status === 'partially_filled').pop();
+      if (fill) {
+        this.settle(record, fill);
+      } else if (!TERMINAL_STATUSES.has(record.status)) {
+        this.reserve(record.orderId, this.accountOf(record), record.order.tokenIn, record.order.amountIn);
+      }
+    }
+  }
+
+  /**
+   * Public view of an account
+   * @param {string} id - Account id
+   * @returns {object} Balances, reservations, available amounts, today's notional and the limits
+   */
+  snapshot(id) {
+    const { balances, reserved } = this.account(id);
+    const available = {};
+    for (const token of Object.keys(balances)) available[token] = this.available(id, token);
+    return { account: id, balances, reserved, available, dailyNotionalUsd: this.dailyNotional(id), limits: this.limits };
+  }
+
+  /**
+   * Overwrite token balances of an account (simulation control)
+   * @param {string} id - Account id
+   * @param {object} balances - Token → new balance
+   * @returns {object} Account snapshot
+   */
+  setBalances(id, balances) {
+    Object.assign(this.account(id).balances, balances);
+    return this.snapshot(id);
+  }
+}
+
+/**
+ * Shared risk engine
+ */
+const risk = new RiskEngine(orders, {
+  initialBalances: RISK_INITIAL_BALANCES,
+  minOrderUsd: RISK_MIN_ORDER_USD,
+  maxOrderUsd: RISK_MAX_ORDER_USD,
+  dailyNotionalUsd: RISK_DAILY_NOTIONAL_USD
+});
+orderEvents.on('status', (orderId, event) => risk.onStatus(orderId, event));
+
+// ============ CRASH RECOVERY ============
+
+/**
+ * Statuses of limit/sniper orders still parked in their scheduler
+ */
+const PARKED_STATUSES = new Set(['received', 'waiting']);
+
+/**
+ * Check whether an order may have a transaction on the chain
+ * Transactions are recorded as 'submitted' (with their txHash) the moment
+ * they are sent, so an order without one has not sent anything yet, even
+ * if it got as far as 'building' or retried a rejected transaction
+ * @param {object[]} events - Recorded status events of the order
+ * @returns {boolean} True once any swap of the order was sent
+ */
+function swapWasSent(events) {
+  return events.some((e) => e.status === 'submitted' || e.txHash);
+}
+
+/**
+ * Rebuild order state from the store and deal with unfinished orders
+ *
+ * - Parked limit/sniper orders are re-armed with their remaining expiry
+ * - Orders that had not sent a swap yet are queued again
+ * - Orders interrupted while a swap may have been in flight are marked
+ *   failed with code INTERRUPTED (and their txHash, if known) so they can
+ *   be reconciled instead of silently disappearing
+ * - Account balances and reservations are rebuilt from the order history
+ */
+function recoverOrders() {
+  for (const record of orderStore.load()) {
+    applyRecord(record);
+  }
+  risk.rebuild();
+
+  let resumed = 0;
+  let interrupted = 0;
+  for (const { orderId, order: data, status, createdAt, events } of orders.values()) {
+    if (TERMINAL_STATUSES.has(status)) continue;
+    const shortId = orderId.substring(0, 12);
+
+    if (swapWasSent(events)) {
+      const txHash = events.map((e) => e.txHash).filter(Boolean).pop();
+      console.log(`♻️  [${shortId}] Interrupted during '${status}', marking failed`);
+      emitStatus(orderId, {
+        status: 'failed',
+        error: 'Engine restarted while the swap was in flight; outcome must be reconciled',
+        code: 'INTERRUPTED',
+        details: { lastStatus: status, txHash }
+      });
+      interrupted++;
+      continue;
+    }
+
+    resumed++;
+    if (data.type === 'market' || !PARKED_STATUSES.has(status)) {
+      console.log(`♻️  [${shortId}] Re-queued after restart (was '${status}')`);
+      const order = data.type === 'sniper' ? { ...data, slippage: data.slippage ?? SNIPER_SLIPPAGE } : data;
+      dispatchOrder(orderId, order);
+      continue;
+    }
+
+    // Parked limit/sniper order: re-arm with whatever expiry time is left
+    const waiting = events.filter((e) => e.expiresAt).pop();
+    const defaultExpiry = data.expiresInMs || (data.type === 'limit' ? LIMIT_DEFAULT_EXPIRY_MS : SNIPER_DEFAULT_EXPIRY_MS);
+    const expiresAt = waiting ? Date.parse(waiting.expiresAt) : Date.parse(createdAt) + defaultExpiry;
+    const remaining = expiresAt - now();
+    if (remaining <= 0) {
+      console.log(`♻️  [${shortId}] Expired while the engine was down`);
+      emitStatus(orderId, { status: 'expired' });
+      continue;
+    }
+    console.log(`♻️  [${shortId}] Re-armed ${data.type} order (${Math.round(remaining / 1000)}s left)`);
+    // The recorded order itself, so amendments after the restart reach the scheduler
+    const scheduler = data.type === 'limit' ? limitScheduler : sniperScheduler;
+    scheduler.schedule(orderId, data, remaining);
+  }
+
+  if (orders.size > 0) {
+    console.log(`♻️  Loaded ${orders.size} order(s): ${resumed} resumed, ${interrupted} marked interrupted\n`);
+  }
+}
+
+// ============ ORDER CONTROL ============
+
+/**
+ * HTTP status for each error code raised by cancelOrder/amendOrder
+ */
+const CONTROL_ERROR_STATUS = {
+  ORDER_NOT_FOUND: 404,
+  ORDER_FINISHED: 409,
+  SWAP_SUBMITTED: 409,
+  ROUTING_STARTED: 409,
+  INVALID_AMENDMENT: 400,
+  ...RISK_ERROR_STATUS
+};
+
+/**
+ * Statuses in which amountIn may still change
+ * Quotes are fetched for the order's size as soon as it is 'pending', and the
+ * slippage check compares against them, so a new size needs a fresh route
+ */
+const AMOUNT_AMENDABLE_STATUSES = new Set(['received', 'waiting']);
+
+/**
+ * Look up an order that can still be changed
+ * @param {string} orderId - Unique order identifier
+ * @returns {object} Entry from the orders Map
+ * @throws {OrderError} ORDER_NOT_FOUND, ORDER_FINISHED or SWAP_SUBMITTED
+ */
+function getMutableOrder(orderId) {
+  const record = orders.get(orderId);
+  if (!record) {
+    throw new OrderError('ORDER_NOT_FOUND', 'Order not found');
+  }
+  if (TERMINAL_STATUSES.has(record.status)) {
+    throw new OrderError('ORDER_FINISHED', `Order already ${record.status}`);
+  }
+  if (record.swapSent) {
+    throw new OrderError('SWAP_SUBMITTED', 'Swap already submitted; the order can no longer be changed');
+  }
+  return record;
+}
+
+/**
+ * Cancel an order that has not sent its swap yet
+ *
+ * Parked and queued orders are cancelled immediately. Orders already in the
+ * pipeline (pending/routing/building) are flagged and stop at the next
+ * stage boundary, which emits the 'cancelled' status.
+ *
+ * @param {string} orderId - Unique order identifier
+ * @returns {{orderId: string, status: string}} 'cancelled', or 'cancelling' when the pipeline will stop it
+ * @throws {OrderError} When the order is unknown, finished or already submitted
+ */
+function cancelOrder(orderId) {
+  const record = getMutableOrder(orderId);
+  const shortId = orderId.substring(0, 12);
+
+  if (limitScheduler.cancel(orderId) || sniperScheduler.cancel(orderId) || orderQueue.remove(orderId)) {
+    console.log(`\n🛑 [${shortId}] CANCELLED while ${record.status}`);
+    emitStatus(orderId, { status: 'cancelled', stage: record.status });
+    return { orderId, status: 'cancelled' };
+  }
+
+  console.log(`\n🛑 [${shortId}] Cancel requested during ${record.status}`);
+  record.cancelRequested = true;
+  return { orderId, status: 'cancelling' };
+}
+
+/**
+ * Change slippage and/or amountIn of an order that has not sent its swap yet
+ * The change is recorded as an event carrying the current status and `amended`
+ * @param {string} orderId - Unique order identifier
+ * @param {{slippage?: number, amountIn?: number}} changes - New values
+ * @returns {{orderId: string, order: object}} Updated order request
+ * @throws {OrderError} INVALID_AMENDMENT, ROUTING_STARTED for amountIn once routing
+ *   began, a risk check failure for a new amountIn, or when the order can no longer be changed
+ */
+function amendOrder(orderId, changes) {
+  const record = getMutableOrder(orderId);
+  const amended = {};
+
+  if (changes?.slippage !== undefined) {
+    if (!isValidSlippage(changes.slippage)) {
+      throw new OrderError('INVALID_AMENDMENT', `slippage must be a number between 0 and ${MAX_SLIPPAGE}`);
+    }
+    amended.slippage = changes.slippage;
+  }
+  if (changes?.amountIn !== undefined) {
+    if (typeof changes.amountIn !== 'number' || !(changes.amountIn > 0) || !Number.isFinite(changes.amountIn)) {
+      throw new OrderError('INVALID_AMENDMENT', 'amountIn must be a finite positive number');
+    }
+    if (!AMOUNT_AMENDABLE_STATUSES.has(record.status)) {
+      throw new OrderError('ROUTING_STARTED', `amountIn can no longer change: routing for the current size has started (status '${record.status}')`);
+    }
+    risk.checkAmendment(record, changes.amountIn);
+    amended.amountIn = changes.amountIn;
+  }
+  if (Object.keys(amended).length === 0) {
+    throw new OrderError('INVALID_AMENDMENT', 'nothing to amend. supported: slippage, amountIn');
+  }
+
+  console.log(`\n✏️  [${orderId.substring(0, 12)}] AMENDED during ${record.status}: ${JSON.stringify(amended)}`);
+  emitStatus(orderId, { status: record.status, amended });
+  return { orderId, order: record.order };
+}
+
+/**
+ * Run a client command received over an order's WebSocket
+ *
+ * Commands (JSON text messages):
+ * - {"action":"cancel"}
+ * - {"action":"amend", "slippage"?: number, "amountIn"?: number}
+ *
+ * @param {string} orderId - Order the socket is subscribed to
+ * @param {string} text - Raw message from the client
+ * @returns {object} Reply: {command, ok, result} or {command, ok: false, error, code}
+ */
+function handleOrderCommand(orderId, text) {
+  let command;
+  try {
+    command = JSON.parse(text);
+  } catch (err) {
+    return { command: null, ok: false, error: 'Invalid JSON' };
+  }
+
+  const action = command?.action;
+  try {
+    if (action === 'cancel') return { command: action, ok: true, result: cancelOrder(orderId) };
+    if (action === 'amend') return { command: action, ok: true, result: amendOrder(orderId, command) };
+    return { command: action ?? null, ok: false, error: 'Unknown action. supported: cancel, amend' };
+  } catch (err) {
+    return { command: action, ok: false, error: err.message, code: err.code };
+  }
+}
+
+// ============ ORDER QUERIES ============
+
+/**
+ * Default and maximum page size for GET /api/orders
+ */
+const ORDERS_PAGE_DEFAULT = 50;
+const ORDERS_PAGE_MAX = 500;
+
+/**
+ * Build the public view of an order from its recorded events
+ *
+ * Summarizes the lifecycle: the request, quotes from every DEX, the chosen
+ * venue, execution result with realized slippage and commitment level,
+ * failure details and the first timestamp of every stage.
+ *
+ * @param {object} record - Entry from the orders Map
+ * @param {{events?: boolean}} [options] - events: true includes the raw event history
+ * @returns {object} Serializable order view
+ */
+function serializeOrder(record, { events = false } = {}) {
+  const { orderId, order, owner, status, createdAt, updatedAt } = record;
+  const find = (s) => record.events.filter((e) => e.status === s).pop();
+  const routing = find('routing');
+  const confirmed = find('confirmed') || find('partially_filled');
+  const failed = status === 'failed' ? find('failed') : undefined;
+  const txHash = record.events.map((e) => e.txHash).filter(Boolean).pop();
+
+  // First time the order reached each stage
+  const stages = { received: createdAt };
+  for (const e of record.events) {
+    if (!stages[e.status] && !e.amended) stages[e.status] = e.at;
+  }
+
+  let execution = null;
+  if (confirmed) {
+    const quoted = parseFloat(routing.price);
+    const executed = parseFloat(confirmed.executedPrice);
+    execution = {
+      ...(confirmed.dex && { dex: confirmed.dex }),
+      txHash,
+      executedPrice: confirmed.executedPrice,
+      slippage: ((executed - quoted) / quoted).toFixed(4),
+      commitment: status === 'finalized' ? 'finalized' : 'confirmed',
+      ...(confirmed.slot !== undefined && { slot: confirmed.slot })
+    };
+    if (confirmed.legs) {
+      Object.assign(execution, { txHash: confirmed.txHash, txHashes: confirmed.txHashes, legs: confirmed.legs });
+    }
+    if (confirmed.status === 'partially_filled') {
+      Object.assign(execution, { filledAmountIn: confirmed.filledAmountIn, unfilledAmountIn: confirmed.unfilledAmountIn });
+    }
+  } else if (txHash) {
+    execution = { txHash };
+  }
+
+  const view = {
+    orderId,
+    status,
+    order,
+    ...(owner && { owner }),
+    createdAt,
+    updatedAt,
+    routing: routing ? {
+      quotes: routing.quotes || [],
+      excluded: routing.excluded || [],
+      chosen: routing.chosen,
+      price: routing.price,
+      amountOut: routing.amountOut,
+      ...(routing.legs && { legs: routing.legs })
+    } : null,
+    execution,
+    error: failed ? { message: failed.error, code: failed.code, details: failed.details } : null,
+    stages,
+    durationMs: TERMINAL_STATUSES.has(status) ? Date.parse(updatedAt) - Date.parse(createdAt) : null
+  };
+  if (events) view.events = record.events;
+  return view;
+}
+
+/**
+ * Parse a time filter given as epoch milliseconds or an ISO-8601 string
+ * @param {string|undefined} value - Raw query parameter
+ * @returns {number|null|undefined} Timestamp, undefined when absent, null when invalid
+ */
+function parseTimeFilter(value) {
+  if (value === undefined || value === '') return undefined;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * List orders matching GET /api/orders query parameters, newest first
+ *
+ * Filters:
+ * - status - Comma separated statuses (e.g. confirmed,failed)
+ * - tokenIn / tokenOut - Exact token symbols
+ * - pair - Shorthand for tokenIn/tokenOut, e.g. SOL/USDC
+ * - from / to - Creation time range (epoch ms or ISO-8601), inclusive
+ * - limit / offset - Pagination (limit defaults to 50, max 500)
+ *
+ * @param {object} query - Parsed query string
+ * @param {string} [owner] - Only list orders submitted with this API key
+ * @returns {{error: string}|{total, limit, offset, orders}} Page of orders or a validation error
+ */
+function listOrders(query, owner) {
+  const statuses = query.status ? new Set(String(query.status).split(',')) : null;
+  let { tokenIn, tokenOut } = query;
+  if (query.pair) {
+    [tokenIn, tokenOut] = String(query.pair).split('/');
+    if (!tokenIn || !tokenOut) return { error: 'invalid pair. expected TOKENIN/TOKENOUT' };
+  }
+
+  const from = parseTimeFilter(query.from);
+  const to = parseTimeFilter(query.to);
+  if (from === null || to === null) return { error: 'invalid time range. from/to must be epoch ms or ISO-8601' };
+
+  const limit = query.limit === undefined ? ORDERS_PAGE_DEFAULT : parseInt(query.limit, 10);
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if (!(limit >= 1 && limit <= ORDERS_PAGE_MAX) || !(offset >= 0)) {
+    return { error: `invalid pagination. limit must be 1-${ORDERS_PAGE_MAX}, offset >= 0` };
+  }
+
+  const matches = [...orders.values()].filter((o) => {
+    const created = Date.parse(o.createdAt);
+    return (!owner || o.owner === owner) &&
+      (!statuses || statuses.has(o.status)) &&
+      (!tokenIn || o.order.tokenIn === tokenIn) &&
+      (!tokenOut || o.order.tokenOut === tokenOut) &&
+      (from === undefined || created >= from) &&
+      (to === undefined || created <= to);
+  });
+  matches.reverse(); // Map preserves insertion order: oldest first
+
+  return {
+    total: matches.length,
+    limit,
+    offset,
+    orders: matches.slice(offset, offset + limit).map((o) => serializeOrder(o))
+  };
+}
+
+// ============ AUTHENTICATION ============
+
+/**
+ * API keys allowed to use the engine
+ * Uses API_KEYS environment variable: JSON array of
+ * {key, name?, secret?, admin?, rateLimit?, notionalLimit?}
+ * Authentication is disabled when no keys are configured
+ */
+const API_KEYS = JSON.parse(process.env.API_KEYS || '[]');
+
+/**
+ * Default requests per minute allowed per API key
+ * Uses API_KEY_RATE_LIMIT environment variable or defaults to 120
+ */
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT || '120', 10);
+
+/**
+ * Default USD notional of orders an API key may submit per minute
+ * Uses API_KEY_NOTIONAL_LIMIT environment variable or defaults to 1,000,000
+ */
+const API_KEY_NOTIONAL_LIMIT = parseFloat(process.env.API_KEY_NOTIONAL_LIMIT || '1000000');
+
+/**
+ * Maximum age of a signed request's timestamp (either direction)
+ * Uses AUTH_MAX_SKEW_MS environment variable or defaults to 30 seconds
+ */
+const AUTH_MAX_SKEW_MS = parseInt(process.env.AUTH_MAX_SKEW_MS || '30000', 10);
+
+/**
+ * Window the per-key request and notional limits are counted over
+ */
+const AUTH_LIMIT_WINDOW_MS = 60000;
+
+/**
+ * HTTP status for each error code raised by ApiKeyRegistry
+ */
+const AUTH_ERROR_STATUS = {
+  UNAUTHORIZED: 401,
+  INVALID_SIGNATURE: 401,
+  REPLAYED_REQUEST: 401,
+  FORBIDDEN: 403,
+  RATE_LIMITED: 429,
+  NOTIONAL_LIMIT_EXCEEDED: 429
+};
+
+/**
+ * Request target covered by a signature: the path with its query string,
+ * minus the `signature` parameter itself (browsers pass it in the query of
+ * WebSocket upgrades). Parameters are kept exactly as the client encoded them.
+ * @param {string} requestUrl - Raw request URL (req.url)
+ * @returns {string} Path and query to sign
+ */
+function signedTarget(requestUrl) {
+  const queryStart = requestUrl.indexOf('?');
+  if (queryStart === -1) return requestUrl;
+  const params = requestUrl.slice(queryStart + 1).split('&').filter((param) => param && !param.startsWith('signature='));
+  const pathPart = requestUrl.slice(0, queryStart);
+  return params.length > 0 ? `${pathPart}?${params.join('&')}` : pathPart;
+}
+
+/**
+ * ApiKeyRegistry authenticates requests and enforces per-key limits
+ *
+ * Requests identify themselves with an API key (X-API-Key header,
+ * Authorization: Bearer <key>, or the apiKey query parameter for WebSocket
+ * upgrades from browsers). Keys configured with a `secret` must also sign
+ * every request:
+ *
+ *   X-Timestamp: <epoch ms>
+ *   X-Signature: hex HMAC-SHA256(secret, timestamp + METHOD + path?query + body)
+ *
+ * (or the timestamp/signature query parameters on upgrades, which have no
+ * body; see signedTarget). A signature is accepted once: replaying it within
+ * AUTH_MAX_SKEW_MS is rejected, and after that its timestamp is too old.
+ *
+ * Each key is limited to `rateLimit` requests and `notionalLimit` USD of
+ * submitted orders per minute. Admin keys may use the simulation controls
+ * and see every key's orders; other keys only see their own.
+ */
+class ApiKeyRegistry {
+  /**
+   * @param {object[]} entries - Configured keys {key, name?, secret?, admin?, rateLimit?, notionalLimit?}
+   * @param {{rateLimit: number, notionalLimit: number}} defaults - Limits for keys that set none
+   * @throws {Error} On entries without a key, or duplicate keys or names
+   */
+  constructor(entries, { rateLimit, notionalLimit }) {
+    /** @type {Map<string, object>} key → principal */
+    this.keys = new Map();
+    const ids = new Set();
+    for (const entry of entries) {
+      if (!entry || typeof entry.key !== 'string' || entry.key.length < 8) {
+        throw new Error('API_KEYS entries need a key of at least 8 characters');
+      }
+      const id = entry.name || entry.key.substring(0, 8);
+      if (this.keys.has(entry.key) || ids.has(id)) {
+        throw new Error(`Duplicate API key or name '${id}' in API_KEYS`);
+      }
+      ids.add(id);
+      this.keys.set(entry.key, {
+        id,
+        secret: entry.secret,
+        admin: Boolean(entry.admin),
+        rateLimit: entry.rateLimit ?? rateLimit,
+        notionalLimit: entry.notionalLimit ?? notionalLimit,
+        requests: [],
+        notional: []
+      });
+    }
+    /** @type {Map<string, number>} principal id + signature → time after which its timestamp is too old anyway */
+    this.usedSignatures = new Map();
+  }
+
+  /**
+   * @returns {boolean} True when requests must carry an API key
+   */
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  /**
+   * Identify the caller of a request and count it against their rate limit
+   * The whole body must already be read, since signatures cover it
+   * @param {http.IncomingMessage} req - Incoming request or WebSocket upgrade
+   * @param {object} query - Parsed query string
+   * @param {string} [body] - Raw request body ('' for upgrades and bodiless requests)
+   * @returns {object|null} Principal {id, admin, ...}, or null when authentication is disabled
+   * @throws {OrderError} UNAUTHORIZED / INVALID_SIGNATURE / REPLAYED_REQUEST / RATE_LIMITED
+   */
+  authenticate(req, query, body = '') {
+    if (!this.enabled) return null;
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const key = req.headers['x-api-key'] || bearer?.[1] || query.apiKey;
+    if (!key) throw new OrderError('UNAUTHORIZED', 'API key required');
+    const principal = this.keys.get(String(key));
+    if (!principal) throw new OrderError('UNAUTHORIZED', 'Invalid API key');
+
+    if (principal.secret) {
+      const timestamp = Number(req.headers['x-timestamp'] || query.timestamp);
+      const signature = String(req.headers['x-signature'] || query.signature || '');
+      // Clients sign with their own wall clock, so compare against ours even in virtual-clock mode
+      if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > AUTH_MAX_SKEW_MS) {
+        throw new OrderError('UNAUTHORIZED', `Signed requests need an X-Timestamp within ${AUTH_MAX_SKEW_MS}ms`);
+      }
+      this.verifySignature(principal, signature, `${timestamp}${req.method}${signedTarget(req.url)}${body}`);
+      this.rememberSignature(principal, signature, timestamp);
+    }
+
+    this.consume(principal.requests, 1, principal.rateLimit, 'RATE_LIMITED', `Rate limit of ${principal.rateLimit} requests/min exceeded`);
+    return principal;
+  }
+
+  /**
+   * Check an HMAC-SHA256 request signature in constant time
+   * @param {object} principal - Caller
+   * @param {string} signature - Hex signature sent by the client
+   * @param {string} message - Canonical request string
+   * @throws {OrderError} INVALID_SIGNATURE when it does not match
+   */
+  verifySignature(principal, signature, message) {
+    const expected = crypto.createHmac('sha256', principal.secret).update(message).digest();
+    const given = Buffer.from(signature, 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new OrderError('INVALID_SIGNATURE', 'Request signature does not match');
+    }
+  }
+
+  /**
+   * Accept a verified signature only once
+   * Entries are kept until their timestamp falls out of the AUTH_MAX_SKEW_MS
+   * window, after which the skew check rejects a replay on its own
+   * @param {object} principal - Caller
+   * @param {string} signature - Verified hex signature
+   * @param {number} timestamp - Signed X-Timestamp
+   * @throws {OrderError} REPLAYED_REQUEST when the signature was used before
+   */
+  rememberSignature(principal, signature, timestamp) {
+    const time = Date.now();
+    for (const [id, expiresAt] of this.usedSignatures) {
+      if (expiresAt < time) this.usedSignatures.delete(id);
+    }
+    const id = `${principal.id}:${signature.toLowerCase()}`;
+    if (this.usedSignatures.has(id)) {
+      throw new OrderError('REPLAYED_REQUEST', 'Request signature was already used; sign every request with a fresh X-Timestamp');
+    }
+    this.usedSignatures.set(id, timestamp + AUTH_MAX_SKEW_MS);
+  }
+
+  /**
+   * Charge an order's USD notional against the caller's per-minute allowance
+   * @param {object|null} principal - Caller (null when authentication is disabled)
+   * @param {number} usd - Order notional in USD
+   * @returns {object|null} The charge, for refundNotional
+   * @throws {OrderError} NOTIONAL_LIMIT_EXCEEDED when the allowance is used up
+   */
+  chargeNotional(principal, usd) {
+    if (!principal) return null;
+    return this.consume(principal.notional, usd, principal.notionalLimit, 'NOTIONAL_LIMIT_EXCEEDED',
+      `Notional limit of $${principal.notionalLimit}/min exceeded`);
+  }
+
+  /**
+   * Give back a charge for an order that was not admitted after all
+   * @param {object|null} principal - Caller
+   * @param {object|null} charge - Value returned by chargeNotional
+   */
+  refundNotional(principal, charge) {
+    if (!principal || !charge) return;
+    const index = principal.notional.indexOf(charge);
+    if (index !== -1) principal.notional.splice(index, 1);
+  }
+
+  /**
+   * Add an amount to a sliding one-minute window unless that would exceed its limit
+   * @param {{at: number, amount: number}[]} window - Entries of the last minute, oldest first
+   * @param {number} amount - Amount to add
+   * @param {number} limit - Maximum total per window
+   * @param {string} code - Error code when the limit is hit
+   * @param {string} message - Error message when the limit is hit
+   * @returns {{at: number, amount: number}} The entry added to the window
+   * @throws {OrderError} With `retryAfterMs` in its details
+   */
+  consume(window, amount, limit, code, message) {
+    const time = now();
+    while (window.length > 0 && window[0].at <= time - AUTH_LIMIT_WINDOW_MS) window.shift();
+    const used = window.reduce((sum, entry) => sum + entry.amount, 0);
+    if (used + amount > limit) {
+      const retryAfterMs = window.length > 0 ? window[0].at + AUTH_LIMIT_WINDOW_MS - time : AUTH_LIMIT_WINDOW_MS;
+      throw new OrderError(code, message, { limit, used, retryAfterMs });
+    }
+    const entry = { at: time, amount };
+    window.push(entry);
+    return entry;
+  }
+
+  /**
+   * @param {object|null} principal - Caller
+   * @throws {OrderError} FORBIDDEN unless the caller is an admin (or authentication is disabled)
+   */
+  requireAdmin(principal) {
+    if (principal && !principal.admin) throw new OrderError('FORBIDDEN', 'Admin API key required');
+  }
+
+  /**
+   * @param {object|null} principal - Caller
+   * @param {object} record - Entry from the orders Map
+   * @returns {boolean} True when the caller may see and control the order
+   */
+  canAccess(principal, record) {
+    return !principal || principal.admin || record.owner === principal.id;
+  }
+}
+
+/**
+ * Shared API key registry
+ */
+const apiKeys = new ApiKeyRegistry(API_KEYS, { rateLimit: API_KEY_RATE_LIMIT, notionalLimit: API_KEY_NOTIONAL_LIMIT });
+
+// ============ METRICS ============
+
+/**
+ * Render a label set in Prometheus text format
+ * @param {object} labels - Label name → value
+ * @returns {string} e.g. {dex="raydium"}, or '' without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Metric is a named family of samples, one per label set
+ * Subclasses decide how samples are updated and rendered
+ */
+class Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - HELP text
+   * @param {string} type - Prometheus type (counter, gauge, histogram)
+   */
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    /** @type {Map<string, {labels: object, value: *}>} */
+    this.samples = new Map();
+  }
+
+  /**
+   * Sample for a label set, created with `initial` on first use
+   * @param {object} labels - Label name → value
+   * @param {function(): *} initial - Initial value factory
+   * @returns {{labels: object, value: *}} Mutable sample
+   */
+  sample(labels, initial) {
+    const key = formatLabels(labels);
+    if (!this.samples.has(key)) this.samples.set(key, { labels, value: initial() });
+    return this.samples.get(key);
+  }
+
+  /**
+   * @returns {string[]} Sample lines
+   */
+  lines() {
+    return [...this.samples.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+
+  /**
+   * @returns {string} HELP, TYPE and sample lines
+   */
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+  }
+}
+
+/**
+ * Counter only goes up
+ */
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  /**
+   * @param {object} [labels] - Label set
+   * @param {number} [amount] - Increment (default 1)
+   */
+  inc(labels = {}, amount = 1) {
+    this.sample(labels, () => 0).value += amount;
+  }
+}
+
+/**
+ * Gauge reports a value computed when metrics are scraped
+ */
+class Gauge extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - HELP text
+   * @param {function(): {labels?: object, value: number}[]} collect - Current samples
+   */
+  constructor(name, help, collect) {
+    super(name, help, 'gauge');
+    this.collect = collect;
+  }
+
+  lines() {
+    return this.collect().map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+/**
+ * Histogram counts observations into cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - HELP text
+   * @param {number[]} buckets - Upper bounds, ascending (+Inf is implied)
+   */
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {object} labels - Label set
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const sample = this.sample(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) sample.value.counts[i]++;
+    });
+    sample.value.sum += value;
+    sample.value.count++;
+  }
+
+  lines() {
+    const lines = [];
+    for (const { labels, value } of this.samples.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Pipeline stages timed by order_engine_stage_duration_seconds
+ * Each stage ends at the first event with one of `to` and starts at the
+ * first event with status `from` ('received' = order creation)
+ */
+const METRIC_STAGES = [
+  { stage: 'queue', from: 'received', to: ['pending'], types: ['market'] },
+  { stage: 'route', from: 'pending', to: ['routing'] },
+  { stage: 'build', from: 'routing', to: ['building'] },
+  { stage: 'execute', from: 'building', to: ['confirmed', 'partially_filled'] },
+  { stage: 'finalize', from: 'confirmed', to: ['finalized'] },
+  { stage: 'total', from: 'received', to: ['confirmed', 'partially_filled'], types: ['market'] }
+];
+
+/**
+ * Statuses counted by order_engine_orders_completed_total
+ */
+const COMPLETED_STATUSES = ['confirmed', 'partially_filled', 'failed', 'expired', 'cancelled'];
+
+/**
+ * EngineMetrics derives Prometheus metrics from order status events
+ *
+ * Counters and histograms are fed by orderEvents; gauges (venue health,
+ * queue depth, WebSocket connections) are read when /metrics is scraped.
+ */
+class EngineMetrics {
+  /**
+   * @param {{orders: Map, router: DexRouter, queue: OrderQueue}} sources - State read by the gauges
+   */
+  constructor({ orders, router, queue }) {
+    this.orders = orders;
+    this.router = router;
+    /** Venue health from the last scrape, refreshed before rendering */
+    this.venues = [];
+
+    this.completed = new Counter('order_engine_orders_completed_total', 'Orders that reached a final status, by status');
+    this.failures = new Counter('order_engine_order_failures_total', 'Failed orders by error code');
+    this.stageDuration = new Histogram('order_engine_stage_duration_seconds', 'Time spent in each pipeline stage',
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]);
+    this.quoted = new Counter('order_engine_venue_quotes_total', 'Routing decisions each venue quoted for');
+    this.wins = new Counter('order_engine_venue_wins_total', 'Routing decisions each venue won (split legs count per venue)');
+    this.slippage = new Histogram('order_engine_realized_slippage_ratio', 'Executed vs routed price of filled orders (positive = worse)',
+      [-0.01, -0.005, -0.001, 0, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25]);
+    this.retries = new Counter('order_engine_swap_retries_total', 'Swap attempts retried');
+    this.reroutes = new Counter('order_engine_reroutes_total', 'Swaps moved to another venue, by failed venue');
+
+    this.gauges = [
+      new Gauge('order_engine_venue_win_ratio', 'Share of routing decisions each venue won out of those it quoted for',
+        () => [...this.quoted.samples.values()].map(({ labels, value }) => ({
+          labels,
+          value: (this.wins.samples.get(formatLabels(labels))?.value || 0) / value
+        }))),
+      new Gauge('order_engine_venue_healthy', 'Venue health (1 healthy, 0 unhealthy)',
+        () => this.venues.map((v) => ({ labels: { dex: v.dex }, value: v.healthy ? 1 : 0 }))),
+      new Gauge('order_engine_queue_waiting', 'Orders waiting in the processing queue', () => [{ value: queue.waiting.length }]),
+      new Gauge('order_engine_queue_active', 'Orders being processed', () => [{ value: queue.active }]),
+      new Gauge('order_engine_websocket_connections', 'Open WebSocket connections by endpoint', () => [
+        { labels: { endpoint: 'order' }, value: [...wsClients.values()].reduce((sum, subscribers) => sum + subscribers.size, 0) },
+        { labels: { endpoint: 'stream' }, value: streamClients.size }
+      ])
+    ];
+  }
+
+  /**
+   * Update counters and histograms for a status event
+   * @param {string} orderId - Order the update belongs to
+   * @param {object} event - Status update as emitted
+   */
+  onStatus(orderId, event) {
+    const record = this.orders.get(orderId);
+    if (!record || event.amended || event.seq === undefined) return;
+    const { status } = event;
+
+    // Only the first final status counts (a confirmed order later emits finalized)
+    if (COMPLETED_STATUSES.includes(status) && !record.events.some((e) => e !== event && COMPLETED_STATUSES.includes(e.status))) {
+      this.completed.inc({ status });
+      if (status === 'failed') this.failures.inc({ code: event.code || 'UNKNOWN' });
+    }
+
+    for (const { stage, from, to, types } of METRIC_STAGES) {
+      if (!to.includes(status) || (types && !types.includes(record.order.type))) continue;
+      const start = from === 'received' ? record.createdAt : record.events.find((e) => e.status === from)?.at;
+      if (start) this.stageDuration.observe({ stage }, (Date.parse(event.at) - Date.parse(start)) / 1000);
+    }
+
+    if (status === 'routing') {
+      for (const quote of event.quotes || []) this.quoted.inc({ dex: quote.dex });
+      const winners = event.legs ? event.legs.map((leg) => leg.dex) : [event.chosen];
+      for (const dex of winners) this.wins.inc({ dex });
+    } else if (status === 'confirmed' || status === 'partially_filled') {
+      const routed = parseFloat(record.events.find((e) => e.status === 'routing')?.price);
+      const executed = parseFloat(event.executedPrice);
+      if (routed > 0 && executed > 0) this.slippage.observe({}, (executed - routed) / routed);
+    } else if (status === 'retrying') {
+      this.retries.inc();
+    } else if (status === 'rerouting') {
+      this.reroutes.inc({ dex: event.from });
+    }
+  }
+
+  /**
+   * Refresh venue health and render every metric
+   * @returns {Promise<string>} Prometheus text exposition
+   */
+  async render() {
+    this.venues = await this.router.health();
+    const metrics = [
+      this.completed, this.failures, this.stageDuration, this.quoted, this.wins,
+      this.slippage, this.retries, this.reroutes, ...this.gauges
+    ];
+    return `${metrics.map((metric) => metric.render()).join('\n')}\n`;
+  }
+}
+
+/**
+ * Shared metrics, fed by every order status update
+ */
+const metrics = new EngineMetrics({ orders, router: dexRouter, queue: orderQueue });
+orderEvents.on('status', (orderId, event) => metrics.onStatus(orderId, event));
+
+/**
+ * Time the server started, reported by /healthz
+ */
+const STARTED_AT = Date.now();
+
+/**
+ * Allowed CORS origin
+ * Uses CORS_ORIGIN environment variable or defaults to * (any origin)
+ */
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+
+// ============ WEBHOOKS ============
+
+/**
+ * Global webhook subscriptions created at startup
+ * Uses WEBHOOKS environment variable: JSON array of {url, secret?, statuses?}
+ */
+const WEBHOOKS = JSON.parse(process.env.WEBHOOKS || '[]');
+
+/**
+ * Secret that signs deliveries to per-order callbackUrls
+ * Uses WEBHOOK_SECRET environment variable; while it is unset, orders with a
+ * callbackUrl are refused (global subscriptions carry their own secrets)
+ */
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+
+/**
+ * Allow webhook receivers on loopback, private, link-local and other
+ * internal addresses (e.g. a local `npm run webhooks` receiver)
+ * Uses WEBHOOK_ALLOW_PRIVATE environment variable or defaults to off (set 1 to allow)
+ */
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === '1';
+
+/**
+ * Address ranges webhooks may not reach unless WEBHOOK_ALLOW_PRIVATE is set:
+ * this host, private networks, link-local (cloud metadata services live at
+ * 169.254.169.254), carrier-grade NAT and multicast. IPv4-mapped IPv6
+ * addresses are matched against the IPv4 ranges; the deprecated
+ * IPv4-compatible ones (::/96, e.g. ::7f00:1 for 127.0.0.1) are refused whole
+ */
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+  WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Check whether a webhook host is off limits
+ * Names are only rejected when they are localhost; other names are checked
+ * once resolved (see webhookLookup)
+ * @param {string} hostname - URL hostname (IPv6 literals in brackets)
+ * @returns {boolean} True for localhost and blocked IP literals, unless WEBHOOK_ALLOW_PRIVATE is set
+ */
+function isPrivateWebhookHost(hostname) {
+  if (WEBHOOK_ALLOW_PRIVATE) return false;
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  const family = net.isIP(host);
+  return family !== 0 && WEBHOOK_BLOCKED_ADDRESSES.check(host, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup replacement for webhook requests that refuses blocked addresses,
+ * so a public name cannot point deliveries at internal services
+ * @param {string} hostname - Host to resolve
+ * @param {object} options - dns.lookup options
+ * @param {function(Error|null, (string|object[])=, number=): void} callback - dns.lookup callback
+ */
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => WEBHOOK_BLOCKED_ADDRESSES.check(entry.address, entry.family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) {
+      callback(new Error(`${hostname} resolves to ${blocked.address}, which webhooks may not reach (set WEBHOOK_ALLOW_PRIVATE=1 to allow)`));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Delivery attempts before a webhook goes to the dead-letter list
+ * Uses WEBHOOK_MAX_ATTEMPTS environment variable or defaults to 5
+ */
+const WEBHOOK_MAX_ATTEMPTS = positiveIntSetting('WEBHOOK_MAX_ATTEMPTS', 5);
+
+/**
+ * Delay before the first redelivery, doubled after every failed attempt
+ * Uses WEBHOOK_BACKOFF_MS environment variable or defaults to 1000ms
+ */
+const WEBHOOK_BACKOFF_MS = nonNegativeSetting('WEBHOOK_BACKOFF_MS', 1000, { integer: true });
+
+/**
+ * Time a receiver has to answer one delivery attempt
+ * Uses WEBHOOK_TIMEOUT_MS environment variable or defaults to 5000ms
+ */
+const WEBHOOK_TIMEOUT_MS = positiveIntSetting('WEBHOOK_TIMEOUT_MS', 5000);
+
+/**
+ * Deliveries kept in the delivery log and in the dead-letter list; the oldest are dropped first
+ */
+const WEBHOOK_LOG_SIZE = 1000;
+
+/**
+ * HTTP status for each error code raised by WebhookDispatcher
+ */
+const WEBHOOK_ERROR_STATUS = {
+  INVALID_WEBHOOK: 400,
+  WEBHOOK_NOT_FOUND: 404,
+  DEAD_LETTER_NOT_FOUND: 404
+};
+
+/**
+ * Sign a webhook body the way API clients sign requests
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Epoch milliseconds sent in X-Timestamp
+ * @param {string} body - Exact JSON body
+ * @returns {string} Hex HMAC-SHA256(secret, timestamp + body)
+ */
+function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}${body}`).digest('hex');
+}
+
+/**
+ * POST a JSON body to a webhook receiver once
+ * @param {string} target - http(s) URL
+ * @param {string} body - JSON body
+ * @param {object} headers - Extra request headers
+ * @returns {Promise<number>} Status code of a 2xx response
+ * @throws {Error} On network errors, timeouts and non-2xx responses (statusCode set when known)
+ */
+function postWebhook(target, body, headers) {
+  return new Promise((resolve, reject) => {
+    // Checked again here: the URL may predate the check (recovered orders, dead letters)
+    if (isPrivateWebhookHost(new URL(target).hostname)) {
+      reject(new Error(`${target} points at a private address, which webhooks may not reach`));
+      return;
+    }
+    const client = target.startsWith('https:') ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      ...(!WEBHOOK_ALLOW_PRIVATE && { lookup: webhookLookup })
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          reject(Object.assign(new Error(`Receiver answered ${res.statusCode}`), { statusCode: res.statusCode }));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`No response within ${WEBHOOK_TIMEOUT_MS}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * WebhookDispatcher pushes order status updates to HTTP receivers
+ *
+ * Every status recorded in an order's history is POSTed, with the same JSON
+ * as the /api/orders/stream messages, to the order's own callbackUrl and to
+ * every global subscription whose status filter matches. Requests carry:
+ *
+ *   X-Webhook-Id: <delivery id>        X-Webhook-Attempt: <n>
+ *   X-Timestamp: <epoch ms>            X-Signature: hex HMAC-SHA256(secret, timestamp + body)
+ *
+ * Failed deliveries are retried with exponential backoff; after the last
+ * attempt they move to the dead-letter list, from where they can be retried
+ * by hand. Deliveries run concurrently, so receivers should order updates
+ * by `seq`.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Map} orders - Order records (see ORDER STORE)
+   * @param {{secret: string|null, maxAttempts: number, backoffMs: number}} options - Callback secret (null disables callbacks) and retry policy
+   */
+  constructor(orders, { secret, maxAttempts, backoffMs }) {
+    this.orders = orders;
+    this.secret = secret;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.subscriptions = new Map();
+    this.deliveries = []; // delivery log, oldest first
+    this.deadLetters = new Map(); // delivery id -> {delivery, target, body}
+    this.nextId = 1;
+    this.nextDeliveryId = 1;
+  }
+
+  /**
+   * Register a global subscription
+   * @param {object} spec - {url, secret?, statuses?}; a secret is generated when omitted
+   * @returns {object} Stored subscription, including its secret
+   * @throws {OrderError} INVALID_WEBHOOK for malformed specs
+   */
+  subscribe(spec) {
+    const { url: target, secret, statuses } = spec || {};
+    if (!isValidCallbackUrl(target)) {
+      throw new OrderError('INVALID_WEBHOOK', 'invalid webhook. url must be an http(s) URL');
+    }
+    if (isPrivateWebhookHost(new URL(target).hostname)) {
+      throw new OrderError('INVALID_WEBHOOK', 'invalid webhook. url must not point at a loopback, private or link-local address (set WEBHOOK_ALLOW_PRIVATE=1 to allow)');
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new OrderError('INVALID_WEBHOOK', 'invalid webhook. secret must be a string of at least 16 characters');
+    }
+    if (statuses !== undefined && (!Array.isArray(statuses) || statuses.length === 0 || statuses.some((s) => typeof s !== 'string'))) {
+      throw new OrderError('INVALID_WEBHOOK', 'invalid webhook. statuses must be a non-empty array of status names');
+    }
+
+    const subscription = {
+      id: String(this.nextId++),
+      url: target,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      statuses: statuses || null,
+      createdAt: new Date(now()).toISOString()
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    console.log(`\n📮 WEBHOOK SUBSCRIBED #${subscription.id}: ${target} (${statuses ? statuses.join(', ') : 'all statuses'})`);
+    return subscription;
+  }
+
+  /**
+   * @param {string} id - Subscription id
+   * @throws {OrderError} WEBHOOK_NOT_FOUND for unknown ids
+   */
+  unsubscribe(id) {
+    if (!this.subscriptions.delete(id)) {
+      throw new OrderError('WEBHOOK_NOT_FOUND', `Webhook ${id} not found`);
+    }
+  }
+
+  /**
+   * @returns {object[]} Global subscriptions, without their secrets
+   */
+  list() {
+    return [...this.subscriptions.values()].map(({ secret, ...subscription }) => subscription);
+  }
+
+  /**
+   * Deliver a status update to every interested receiver
+   * Progress-only updates that are not recorded (no seq) are not delivered
+   * @param {string} orderId - Order the update belongs to
+   * @param {object} event - Status update as emitted
+   */
+  onStatus(orderId, event) {
+    const record = this.orders.get(orderId);
+    if (!record || event.seq === undefined) return;
+
+    const { order } = record;
+    const body = JSON.stringify({ orderId, tokenIn: order.tokenIn, tokenOut: order.tokenOut, ...event });
+    // Orders recovered after a restart without WEBHOOK_SECRET keep their callbackUrl but get no deliveries
+    if (order.callbackUrl && this.secret) {
+      this.send(this.createDelivery('callback', order.callbackUrl, orderId, event), { url: order.callbackUrl, secret: this.secret }, body);
+    }
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.statuses && !subscription.statuses.includes(event.status)) continue;
+      this.send(this.createDelivery(subscription.id, subscription.url, orderId, event), subscription, body);
+    }
+  }
+
+  /**
+   * Add a delivery to the log
+   * @param {string} subscription - Subscription id, or 'callback' for the order's callbackUrl
+   * @param {string} target - Receiver URL
+   * @param {string} orderId - Order the update belongs to
+   * @param {object} event - Status update
+   * @returns {object} Delivery log entry
+   */
+  createDelivery(subscription, target, orderId, event) {
+    const at = new Date(now()).toISOString();
+    const delivery = {
+      id: String(this.nextDeliveryId++),
+      subscription,
+      url: target,
+      orderId,
+      status: event.status,
+      seq: event.seq,
+      state: 'pending', // pending -> delivered | dead_letter
+      attempts: 0,
+      responseStatus: null,
+      lastError: null,
+      createdAt: at,
+      updatedAt: at
+    };
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > WEBHOOK_LOG_SIZE) this.deliveries.shift();
+    return delivery;
+  }
+
+  /**
+   * POST a delivery with retries, dead-lettering it when every attempt fails
+   * @param {object} delivery - Delivery log entry (updated in place)
+   * @param {{url: string, secret: string}} target - Receiver and signing secret
+   * @param {string} body - JSON body
+   * @returns {Promise<void>} Settles once the delivery succeeded or was dead-lettered
+   */
+  send(delivery, target, body) {
+    const attempt = (n) => {
+      delivery.attempts++;
+      const timestamp = String(Date.now());
+      return postWebhook(target.url, body, {
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Attempt': String(n),
+        'X-Timestamp': timestamp,
+        'X-Signature': signWebhook(target.secret, timestamp, body)
+      });
+    };
+    const onRetry = (n, delayMs, err) => {
+      Object.assign(delivery, { responseStatus: err.statusCode || null, lastError: err.message, updatedAt: new Date(now()).toISOString() });
+      console.log(`   📮 Webhook #${delivery.id} (${delivery.status} → ${target.url}) failed: ${err.message}, attempt ${n} in ${delayMs}ms`);
+    };
+
+    return withRetry(attempt, { maxAttempts: this.maxAttempts, backoffMs: this.backoffMs, onRetry }).then((statusCode) => {
+      Object.assign(delivery, { state: 'delivered', responseStatus: statusCode, lastError: null, updatedAt: new Date(now()).toISOString() });
+    }, (err) => {
+      Object.assign(delivery, { state: 'dead_letter', responseStatus: err.statusCode || null, lastError: err.message, updatedAt: new Date(now()).toISOString() });
+      this.deadLetters.set(delivery.id, { delivery, target, body });
+      if (this.deadLetters.size > WEBHOOK_LOG_SIZE) this.deadLetters.delete(this.deadLetters.keys().next().value);
+      console.log(`   ☠️  Webhook #${delivery.id} (${delivery.status} → ${target.url}) dead-lettered after ${delivery.attempts} attempt(s): ${err.message}`);
+    });
+  }
+
+  /**
+   * Query the delivery log, newest first
+   * @param {object} query - {orderId?, subscription?, state?, limit? (default 100, max WEBHOOK_LOG_SIZE)}
+   * @returns {object[]} Matching deliveries
+   */
+  log({ orderId, subscription, state, limit } = {}) {
+    const max = Math.min(parseInt(limit, 10) || 100, WEBHOOK_LOG_SIZE);
+    return this.deliveries
+      .filter((d) => (!orderId || d.orderId === orderId) && (!subscription || d.subscription === subscription) && (!state || d.state === state))
+      .slice(-max)
+      .reverse();
+  }
+
+  /**
+   * @returns {object[]} Dead-lettered deliveries with the payload that could not be delivered
+   */
+  listDeadLetters() {
+    return [...this.deadLetters.values()].map(({ delivery, body }) => ({ ...delivery, payload: JSON.parse(body) }));
+  }
+
+  /**
+   * Send a dead-lettered delivery again, with a fresh set of attempts
+   * @param {string} id - Delivery id
+   * @returns {object} The delivery, back in the pending state
+   * @throws {OrderError} DEAD_LETTER_NOT_FOUND for unknown ids
+   */
+  retryDeadLetter(id) {
+    const entry = this.deadLetters.get(id);
+    if (!entry) {
+      throw new OrderError('DEAD_LETTER_NOT_FOUND', `Dead letter ${id} not found`);
+    }
+    this.deadLetters.delete(id);
+    Object.assign(entry.delivery, { state: 'pending', updatedAt: new Date(now()).toISOString() });
+    this.send(entry.delivery, entry.target, entry.body);
+    return entry.delivery;
+  }
+}
+
+/**
+ * Shared webhook dispatcher, fed by every order status update
+ */
+const webhooks = new WebhookDispatcher(orders, {
+  secret: WEBHOOK_SECRET,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  backoffMs: WEBHOOK_BACKOFF_MS
+});
+for (const spec of WEBHOOKS) webhooks.subscribe(spec);
+orderEvents.on('status', (orderId, event) => webhooks.onStatus(orderId, event));
+
+// ============ HTTP SERVER ============
+
+/**
+ * Server port configuration
+ * Uses PORT environment variable or defaults to 3000
+ */
+const PORT = parseInt(process.env.PORT || '3000', 10);
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response to write to
+ * @param {number} statusCode - HTTP status code
+ * @param {object} body - Value to serialize as the response body
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reply with an authentication or limit error from ApiKeyRegistry
+ * @param {http.ServerResponse} res - Response to write to
+ * @param {OrderError} err - Error with a code from AUTH_ERROR_STATUS
+ */
+function sendAuthError(res, err) {
+  const status = AUTH_ERROR_STATUS[err.code] || 500;
+  if (status === 429) res.setHeader('Retry-After', Math.ceil(err.details.retryAfterMs / 1000));
+  const details = err.details && Object.keys(err.details).length > 0 ? { details: err.details } : {};
+  sendJson(res, status, { error: err.message, code: err.code, ...details });
+}
+
+/**
+ * Decode an id captured from the request path
+ * Malformed percent-encoding (e.g. %E0%A4%A) is answered with 400 instead
+ * of letting decodeURIComponent throw out of the request handler
+ * @param {http.ServerResponse} res - Response used for the error reply
+ * @param {string} segment - Raw path segment
+ * @param {string} code - Error code for the 400 reply (e.g. 'INVALID_ORDER_ID')
+ * @returns {string|null} Decoded id, or null once the 400 has been sent
+ */
+function decodePathParam(res, segment, code) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    sendJson(res, 400, { error: 'Malformed percent-encoding in request path', code });
+    return null;
+  }
+}
+
+/**
+ * Largest request body accepted (1MB)
+ */
+const MAX_BODY_BYTES = 1e6;
+
+/**
+ * Collect a request body
+ * Every API request is read in full before authentication, so a signature
+ * always covers the body no matter which route handles it
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<string>} Body text ('' when there is none)
+ * @throws {OrderError} PAYLOAD_TOO_LARGE for bodies over MAX_BODY_BYTES
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new OrderError('PAYLOAD_TOO_LARGE', 'Payload too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse the JSON body collected by readBody (req.body)
+ * An empty body parses as {}; malformed JSON is answered with 400
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Response used for error replies
+ * @param {function(object): void} handler - Called with the parsed body
+ */
+function parseJsonBody(req, res, handler) {
+  let data;
+  try {
+    data = req.body.trim() ? JSON.parse(req.body) : {};
+  } catch (err) {
+    sendJson(res, 400, { error: 'Invalid JSON' });
+    return;
+  }
+  handler(data);
+}
+
+/**
+ * HTTP Server that handles order submission
+ * 
+ * Endpoints:
+ * - POST /api/orders/execute - Submit a new market, limit or sniper order
+ * - GET /api/orders - List orders (filters: status, tokenIn, tokenOut, pair, from, to; limit/offset)
+ * - GET /api/orders/:id - Full lifecycle of a single order
+ * - POST /api/orders/:id/cancel - Cancel an order before its swap is sent
+ * - POST /api/orders/:id/amend - Change slippage/amountIn before the swap is sent
+ * - GET /api/account - Simulated balances, reservations and risk limits of the caller's account
+ * - POST /api/admin/balances - Set simulated balances {account?, balances}
+ * - GET /api/venues - Registered DEX venues and their health
+ * - POST /api/pools - Announce a simulated pool launch {token, dex}
+ * - GET /api/pools - Reserves and prices of every simulated AMM pool
+ * - POST /api/pools/reserves - Set a pool's reserves {dex, reserves}
+ * - GET /api/admin/faults - Configured fault-injection scenarios
+ * - POST /api/admin/faults - Arm a fault {dex, type, probability | count, ...}
+ * - DELETE /api/admin/faults[/:id] - Remove one fault, or all of them
+ * - POST /api/admin/clock/advance - Move the virtual clock forward {ms}
+ * - GET /api/orders/:id/webhooks - Deliveries to the order's callbackUrl
+ * - GET /api/admin/webhooks - Global webhook subscriptions
+ * - POST /api/admin/webhooks - Subscribe {url, secret?, statuses?}
+ * - DELETE /api/admin/webhooks/:id - Remove a subscription
+ * - GET /api/admin/webhooks/deliveries - Delivery log (filters: orderId, subscription, state; limit)
+ * - GET /api/admin/webhooks/dead-letters - Deliveries that failed every attempt
+ * - POST /api/admin/webhooks/dead-letters/:id/retry - Send a dead letter again
+ * - GET /metrics - Prometheus metrics (no API key needed)
+ * - GET /healthz - Liveness with venue health summary (always 200)
+ * - GET /readyz - Readiness: 503 when no venue is healthy
+ * 
+ * When API keys are configured every /api route needs one (401). Orders are
+ * scoped to the key that submitted them (other keys get 404), the
+ * simulation controls (pool launches and reserves, faults) need an admin
+ * key (403) and per-key limits answer 429.
+ * 
+ * CORS is enabled for CORS_ORIGIN (default all origins) to allow frontend communication
+ */
+const server = http.createServer(async (req, res) => {
+  // Enable CORS for cross-origin requests from frontend
+  res.setHeader('Access-Control-Allow-Origin', CORS_ORIGIN);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Timestamp, X-Signature');
+
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  // Parse URL and extract path and query parameters
+  const parsedUrl = url.parse(req.url, true);
+  const pathname = parsedUrl.pathname;
+  const query = parsedUrl.query;
+
+  // ===== GET /metrics - Prometheus metrics =====
+  if (pathname === '/metrics' && req.method === 'GET') {
+    metrics.render().then((text) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(text);
+    });
+    return;
+  }
+
+  // ===== GET /healthz, /readyz - Liveness and readiness probes =====
+  if ((pathname === '/healthz' || pathname === '/readyz') && req.method === 'GET') {
+    dexRouter.health().then((venues) => {
+      const healthy = venues.filter((v) => v.healthy).length;
+      const status = healthy === venues.length ? 'ok' : healthy > 0 ? 'degraded' : 'unavailable';
+      const body = { status, venues: { healthy, total: venues.length, unhealthy: venues.filter((v) => !v.healthy).map((v) => v.dex) } };
+      if (pathname === '/healthz') {
+        // Liveness: the process answers; degraded routing is reported, not fatal
+        sendJson(res, 200, { ...body, uptimeSec: Math.round((Date.now() - STARTED_AT) / 1000) });
+      } else {
+        // Readiness: orders can only be routed while at least one venue is healthy
+        sendJson(res, healthy > 0 ? 200 : 503, { ...body, ready: healthy > 0 });
+      }
+    });
+    return;
+  }
+
+  // ===== Serve static files from public folder =====
+  if (req.method === 'GET' && !pathname.startsWith('/api/')) {
+    let filePath = pathname === '/' ? '/index.html' : pathname;
+    filePath = path.join(__dirname, 'public', filePath);
+    
+    // Security: prevent directory traversal
+    if (!filePath.startsWith(path.join(__dirname, 'public'))) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Forbidden');
+      return;
+    }
+    
+    fs.stat(filePath, (err, stats) => {
+      if (err || !stats.isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found');
+        return;
+      }
+      
+      const contentType = filePath.endsWith('.html') ? 'text/html' : 
+                         filePath.endsWith('.js') ? 'text/javascript' :
+                         filePath.endsWith('.css') ? 'text/css' : 'text/plain';
+      res.writeHead(200, { 'Content-Type': contentType });
+      fs.createReadStream(filePath).pipe(res);
+    });
+    return;
+  }
+
+  // ===== Read the body up front: signatures cover it, whichever route handles the request =====
+  try {
+    req.body = await readBody(req);
+  } catch (err) {
+    sendJson(res, err.code === 'PAYLOAD_TOO_LARGE' ? 413 : 400, { error: err.message, code: err.code });
+    return;
+  }
+
+  // ===== Authentication: every API route needs a key once keys are configured =====
+  let principal;
+  try {
+    principal = apiKeys.authenticate(req, query, req.body);
+    if (pathname.startsWith('/api/admin/') || (pathname.startsWith('/api/pools') && req.method === 'POST')) {
+      apiKeys.requireAdmin(principal);
+    }
+  } catch (err) {
+    sendAuthError(res, err);
+    return;
+  }
+  /**
+   * Look up an order the caller may access
+   * @param {string} orderId - Unique order identifier
+   * @returns {object|undefined} Entry from the orders Map
+   */
+  const findOrder = (orderId) => {
+    const record = orders.get(orderId);
+    return record && apiKeys.canAccess(principal, record) ? record : undefined;
+  };
+
+  // ===== POST /api/orders/execute - Submit Order =====
+  if (pathname === '/api/orders/execute' && req.method === 'POST') {
+    parseJsonBody(req, res, (data) => {
+      // Validate required fields
+      const invalid = validateOrder(data);
+      if (invalid) {
+        sendJson(res, 400, { error: invalid });
+        return;
+      }
+
+      // Pre-trade risk checks: bad orders never reach routing
+      const account = principal?.id || DEFAULT_ACCOUNT;
+      try {
+        risk.check(account, data);
+      } catch (err) {
+        console.log(`   🛡️  Risk check failed (${err.code}): ${err.message}`);
+        sendJson(res, RISK_ERROR_STATUS[err.code] || 400, { error: err.message, code: err.code, details: err.details });
+        return;
+      }
+
+      let charge;
+      try {
+        charge = apiKeys.chargeNotional(principal, usdValue(data.tokenIn, data.amountIn));
+      } catch (err) {
+        sendAuthError(res, err);
+        return;
+      }
+
+      // Generate unique order ID and WebSocket URL for client
+      const orderId = uuidv4();
+      // Determine host and protocol, preferring forwarded headers (used by proxies)
+      const forwardedHost = req.headers['x-forwarded-host'];
+      const forwardedProto = req.headers['x-forwarded-proto'];
+      const host = forwardedHost || req.headers.host || 'localhost:' + PORT;
+      // Prefer wss when the original request was https or proxy indicates https
+      const isSecure = (forwardedProto && forwardedProto.includes('https')) || (host && host.includes('railway.app')) || (req.connection && req.connection.encrypted);
+      const protocol = isSecure ? 'wss' : 'ws';
+      // Strip any port from host when appropriate (keep host as provided otherwise)
+      const cleanHost = host.split(',')[0].trim();
+      const wsUrl = `${protocol}://${cleanHost}/api/orders/execute?orderId=${orderId}`;
+      const shortId = orderId.substring(0, 12);
+      createOrder(orderId, data, principal?.id);
+      // Log the WebSocket URL sent to the client for debugging
+      console.log(`   └─ WS URL: ${wsUrl}`);
+
+      // Log order submission
+      console.log(`\n📥 NEW ORDER RECEIVED [${shortId}]`);
+      console.log(`   POST /api/orders/execute`);
+      console.log(`   Amount: ${data.amountIn} ${data.tokenIn} → ${data.tokenOut}`);
+
+      // Limit orders wait for their price, sniper orders for a pool launch
+      if (data.type === 'limit' || data.type === 'sniper') {
+        const scheduler = data.type === 'limit' ? limitScheduler : sniperScheduler;
+        const expiresAt = scheduler.schedule(orderId, data);
+        risk.reserve(orderId, account, data.tokenIn, data.amountIn);
+        sendJson(res, 200, { orderId, wsUrl, expiresAt: new Date(expiresAt).toISOString() });
+        return;
+      }
+
+      // Queue the order for processing (don't block HTTP response)
+      let ahead;
+      try {
+        ahead = orderQueue.add(orderId, data);
+      } catch (err) {
+        console.log(`   ❌ ${err.message}`);
+        // An order turned away does not use up the caller's notional allowance
+        apiKeys.refundNotional(principal, charge);
+        // The order is already in the store: record the rejection, or recovery would queue it on restart
+        emitStatus(orderId, { status: 'failed', error: err.message, code: err.code });
+        sendJson(res, 503, { error: err.message, code: err.code });
+        return;
+      }
+      // Reserve only once the queue has taken the order, so a rejection never holds funds
+      risk.reserve(orderId, account, data.tokenIn, data.amountIn);
+
+      // Log queue entry
+      console.log(`   ✓ Enqueued to processing queue (${ahead} ahead)`);
+
+      // Respond with order ID and WebSocket URL
+      sendJson(res, 200, { orderId, wsUrl });
+    });
+    return;
+  }
+
+  // ===== GET /api/orders - List orders =====
+  if (pathname === '/api/orders' && req.method === 'GET') {
+    const page = listOrders(query, principal && !principal.admin ? principal.id : undefined);
+    sendJson(res, page.error ? 400 : 200, page);
+    return;
+  }
+
+  // ===== GET /api/orders/:id - Order lifecycle =====
+  const orderMatch = pathname.match(/^\/api\/orders\/([^/]+)$/);
+  if (orderMatch && req.method === 'GET') {
+    const orderId = decodePathParam(res, orderMatch[1], 'INVALID_ORDER_ID');
+    if (orderId === null) return;
+    const record = findOrder(orderId);
+    if (!record) {
+      sendJson(res, 404, { error: 'Order not found' });
+      return;
+    }
+    sendJson(res, 200, serializeOrder(record, { events: true }));
+    return;
+  }
+
+  // ===== GET /api/orders/:id/webhooks - Deliveries to the order's callbackUrl =====
+  const orderWebhooksMatch = pathname.match(/^\/api\/orders\/([^/]+)\/webhooks$/);
+  if (orderWebhooksMatch && req.method === 'GET') {
+    const orderId = decodePathParam(res, orderWebhooksMatch[1], 'INVALID_ORDER_ID');
+    if (orderId === null) return;
+    if (!findOrder(orderId)) {
+      sendJson(res, 404, { error: 'Order not found' });
+      return;
+    }
+    // Global subscriptions are admin configuration and stay hidden here
+    sendJson(res, 200, { deliveries: webhooks.log({ orderId, subscription: 'callback', limit: WEBHOOK_LOG_SIZE }) });
+    return;
+  }
+
+  // ===== POST /api/orders/:id/cancel|amend - Change an order in flight =====
+  const controlMatch = pathname.match(/^\/api\/orders\/([^/]+)\/(cancel|amend)$/);
+  if (controlMatch && req.method === 'POST') {
+    const orderId = decodePathParam(res, controlMatch[1], 'INVALID_ORDER_ID');
+    if (orderId === null) return;
+    parseJsonBody(req, res, (data) => {
+      if (!findOrder(orderId)) {
+        sendJson(res, 404, { error: 'Order not found', code: 'ORDER_NOT_FOUND' });
+        return;
+      }
+      try {
+        const result = controlMatch[2] === 'cancel' ? cancelOrder(orderId) : amendOrder(orderId, data);
+        sendJson(res, result.status === 'cancelling' ? 202 : 200, result);
+      } catch (err) {
+        sendJson(res, CONTROL_ERROR_STATUS[err.code] || 500, { error: err.message, code: err.code });
+      }
+    });
+    return;
+  }
+
+  // ===== GET /api/account - Simulated balances and risk limits =====
+  if (pathname === '/api/account' && req.method === 'GET') {
+    // Admins (and everyone while authentication is disabled) may look at any account
+    const canChoose = !principal || principal.admin;
+    const account = (canChoose && query.account) || principal?.id || DEFAULT_ACCOUNT;
+    sendJson(res, 200, risk.snapshot(String(account)));
+    return;
+  }
+
+  // ===== POST /api/admin/balances - Set simulated balances =====
+  if (pathname === '/api/admin/balances' && req.method === 'POST') {
+    parseJsonBody(req, res, (data) => {
+      const entries = Object.entries(data?.balances || {});
+      if (entries.length === 0 || entries.some(([, amount]) => typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0)) {
+        sendJson(res, 400, { error: 'invalid balances. required: balances {TOKEN: amount >= 0}, optional: account' });
+        return;
+      }
+      sendJson(res, 200, risk.setBalances(String(data.account || DEFAULT_ACCOUNT), data.balances));
+    });
+    return;
+  }
+
+  // ===== GET /api/venues - Venue health =====
+  if (pathname === '/api/venues' && req.method === 'GET') {
+    dexRouter.health().then((venues) => sendJson(res, 200, { venues }));
+    return;
+  }
+
+  // ===== GET /api/pools - Simulated AMM pool state =====
+  if (pathname === '/api/pools' && req.method === 'GET') {
+    const pools = dexRouter.registry.list().filter((a) => a.pools).flatMap((a) => a.pools.list());
+    sendJson(res, 200, { pools });
+    return;
+  }
+
+  // ===== POST /api/pools/reserves - Configure a simulated AMM pool =====
+  if (pathname === '/api/pools/reserves' && req.method === 'POST') {
+    parseJsonBody(req, res, (data) => {
+      const adapter = dexRouter.registry.get(data?.dex);
+      const entries = Object.entries(data?.reserves || {});
+      if (!adapter || !adapter.pools || entries.length !== 2 ||
+          entries.some(([, reserve]) => typeof reserve !== 'number' || !(reserve > 0))) {
+        sendJson(res, 400, { error: 'invalid reserves. required: dex (simulated venue), reserves {TOKEN_A: amount, TOKEN_B: amount}' });
+        return;
+      }
+      sendJson(res, 200, adapter.pools.setReserves(data.reserves));
+    });
+    return;
+  }
+
+  // ===== /api/admin/faults - Fault injection for the mock venues =====
+  if (pathname === '/api/admin/faults' && req.method === 'GET') {
+    sendJson(res, 200, { faults: faultInjector.list() });
+    return;
+  }
+
+  if (pathname === '/api/admin/faults' && req.method === 'POST') {
+    parseJsonBody(req, res, (data) => {
+      if (data?.dex !== '*' && !dexRouter.registry.get(data?.dex)?.faults) {
+        sendJson(res, 400, { error: `invalid fault. dex must be a simulated venue or '*'`, code: 'INVALID_FAULT' });
+        return;
+      }
+      try {
+        sendJson(res, 201, faultInjector.add(data));
+      } catch (err) {
+        sendJson(res, 400, { error: err.message, code: err.code });
+      }
+    });
+    return;
+  }
+
+  if (pathname === '/api/admin/faults' && req.method === 'DELETE') {
+    sendJson(res, 200, { removed: faultInjector.clear() });
+    return;
+  }
+
+  const faultMatch = pathname.match(/^\/api\/admin\/faults\/([^/]+)$/);
+  if (faultMatch && req.method === 'DELETE') {
+    if (!faultInjector.remove(faultMatch[1])) {
+      sendJson(res, 404, { error: 'Fault not found' });
+      return;
+    }
+    sendJson(res, 200, { removed: 1 });
+    return;
+  }
+
+  // ===== POST /api/admin/clock/advance - Move the virtual clock forward =====
+  if (pathname === '/api/admin/clock/advance' && req.method === 'POST') {
+    parseJsonBody(req, res, (data) => {
+      if (!clock.advance) {
+        sendJson(res, 409, { error: 'the clock only advances with SIM_CLOCK=virtual', code: 'CLOCK_NOT_VIRTUAL' });
+        return;
+      }
+      const ms = data?.ms;
+      if (typeof ms !== 'number' || !(ms > 0) || ms > ORDER_MAX_EXPIRY_MS) {
+        sendJson(res, 400, { error: `invalid advance. required: ms (0 < ms <= ${ORDER_MAX_EXPIRY_MS})`, code: 'INVALID_ADVANCE' });
+        return;
+      }
+      clock.advance(ms).then((time) => sendJson(res, 200, { now: new Date(time).toISOString() }));
+    });
+    return;
+  }
+
+  // ===== /api/admin/webhooks - Global subscriptions, delivery log and dead letters =====
+  if (pathname === '/api/admin/webhooks' && req.method === 'GET') {
+    sendJson(res, 200, { subscriptions: webhooks.list() });
+    return;
+  }
+
+  if (pathname === '/api/admin/webhooks' && req.method === 'POST') {
+    parseJsonBody(req, res, (data) => {
+      try {
+        sendJson(res, 201, webhooks.subscribe(data));
+      } catch (err) {
+        sendJson(res, WEBHOOK_ERROR_STATUS[err.code] || 500, { error: err.message, code: err.code });
+      }
+    });
+    return;
+  }
+
+  if (pathname === '/api/admin/webhooks/deliveries' && req.method === 'GET') {
+    sendJson(res, 200, { deliveries: webhooks.log(query) });
+    return;
+  }
+
+  if (pathname === '/api/admin/webhooks/dead-letters' && req.method === 'GET') {
+    sendJson(res, 200, { deadLetters: webhooks.listDeadLetters() });
+    return;
+  }
+
+  const deadLetterMatch = pathname.match(/^\/api\/admin\/webhooks\/dead-letters\/([^/]+)\/retry$/);
+  if (deadLetterMatch && req.method === 'POST') {
+    const id = decodePathParam(res, deadLetterMatch[1], 'INVALID_DELIVERY_ID');
+    if (id === null) return;
+    try {
+      sendJson(res, 202, webhooks.retryDeadLetter(id));
+    } catch (err) {
+      sendJson(res, WEBHOOK_ERROR_STATUS[err.code] || 500, { error: err.message, code: err.code });
+    }
+    return;
+  }
+
+  const webhookMatch = pathname.match(/^\/api\/admin\/webhooks\/([^/]+)$/);
+  if (webhookMatch && req.method === 'DELETE') {
+    const id = decodePathParam(res, webhookMatch[1], 'INVALID_WEBHOOK_ID');
+    if (id === null) return;
+    try {
+      webhooks.unsubscribe(id);
+      sendJson(res, 200, { removed: 1 });
+    } catch (err) {
+      sendJson(res, WEBHOOK_ERROR_STATUS[err.code] || 500, { error: err.message, code: err.code });
+    }
+    return;
+  }
+
+  // ===== POST /api/pools - Announce a simulated pool launch =====
+  if (pathname === '/api/pools' && req.method === 'POST') {
+    parseJsonBody(req, res, (data) => {
+      const dex = data?.dex || POOL_DEXES[0];
+      if (!data || !data.token || !POOL_DEXES.includes(dex)) {
+        sendJson(res, 400, { error: `invalid pool. required: token, dex (${POOL_DEXES.join('|')})` });
+        return;
+      }
+
+      const event = poolFeed.launchPool(data.token, dex);
+      if (!event) {
+        sendJson(res, 409, { error: `${data.token} pool already exists on ${dex}` });
+        return;
+      }
+      sendJson(res, 201, event);
+    });
+    return;
+  }
+
+  // Fallback: Return 404 for unknown routes
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Not Found' }));
+});
+
+// ============ WEBSOCKET HANDLER ============
+
+/**
+ * GUID appended to Sec-WebSocket-Key when computing Sec-WebSocket-Accept
  */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
 
 /**
- * Generate a unique identifier combining timestamp and random bytes
- * Format: {timestamp}-{randomHex}
- * @returns {string} Unique ID
+ * How often idle connections are pinged; a connection that has not answered
+ * (or sent anything) by the next ping is considered dead and dropped
+ * Uses WS_PING_INTERVAL_MS environment variable or defaults to 30 seconds
  */
-function uuidv4() {
-  return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
-}
+const WS_PING_INTERVAL_MS = parseInt(process.env.WS_PING_INTERVAL_MS || '30000', 10);
 
-// ============ MOCK DEX ROUTER ============
+/**
+ * Largest message (after reassembling fragments) accepted from a client
+ */
+const WS_MAX_MESSAGE_BYTES = 64 * 1024;
 
 /**
- * MockDexRouter simulates two DEX protocols (Raydium and Meteora)
- * Provides price quotes and simulates swap execution with realistic latency
- * 
- * Price Model:
- * - Raydium: 98-102% of base price with 0.3% fee
- * - Meteora: 97-102% of base price with 0.2% fee (slightly better price but less consistent)
+ * How long to wait for the peer's close frame before dropping the socket
  */
-class MockDexRouter {
-  constructor() {
-    this.basePrice = 100; // Base price used for all simulated quotes
-  }
+const WS_CLOSE_TIMEOUT_MS = 5000;
+
+/**
+ * Frame opcodes (RFC 6455 section 5.2)
+ */
+const WS_OPCODES = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+/**
+ * Close status codes used by the server (RFC 6455 section 7.4.1)
+ */
+const WS_CLOSE_CODES = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  NO_STATUS: 1005,
+  ABNORMAL: 1006,
+  INVALID_PAYLOAD: 1007,
+  POLICY_VIOLATION: 1008,
+  MESSAGE_TOO_BIG: 1009,
+  INTERNAL_ERROR: 1011
+};
+
+/**
+ * Strict UTF-8 decoder; text frames with invalid UTF-8 must be rejected
+ */
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Check whether a close code received from a peer may appear on the wire
+ * @param {number} code - Close status code
+ * @returns {boolean} True for defined protocol codes and the 3000-4999 private range
+ */
+function isValidCloseCode(code) {
+  return (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1011) || (code >= 3000 && code <= 4999);
+}
 
+/**
+ * WebSocketConnection implements the server side of RFC 6455 on a raw socket
+ *
+ * - Parses incoming frames: client frames must be masked, reserved bits must
+ *   be clear and control frames must be short and unfragmented
+ * - Reassembles fragmented messages and validates UTF-8 text
+ * - Answers pings with pongs and pings idle peers every WS_PING_INTERVAL_MS;
+ *   peers that stay silent for a whole interval are dropped
+ * - Performs the close handshake with status codes in both directions
+ *
+ * Events:
+ * - message (text) - Complete text message from the client
+ * - close (code, reason) - Connection closed; code 1006 if no close frame was exchanged
+ */
+class WebSocketConnection extends EventEmitter {
   /**
-   * Get a price quote from Raydium DEX
-   * Simulates network latency (200-400ms) and realistic price variance
-   * @param {string} tokenIn - Input token symbol
-   * @param {string} tokenOut - Output token symbol
-   * @param {number} amount - Amount to swap
-   * @returns {Promise<{price, fee, dex}>} Quote with price, fee, and DEX name
+   * @param {net.Socket} socket - Socket that completed the opening handshake
+   * @param {Buffer} [head] - Bytes received after the upgrade request
    */
-  async getRaydiumQuote(tokenIn, tokenOut, amount) {
-    // Simulate network latency for fetching quote
-    await sleep(200 + Math.random() * 200);
-    // Generate price with 2% variance (98-102% of base price)
-    const price = this.basePrice * (0.98 + Math.random() * 0.04);
-    return { price, fee: 0.003, dex: 'raydium' };
+  constructor(socket, head) {
+    super();
+    this.socket = socket;
+    this.state = 'open'; // open -> closing -> closed
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // {opcode, chunks, size} while a fragmented message is in progress
+    this.alive = true;
+    this.failed = false;
+    this.closeCode = WS_CLOSE_CODES.ABNORMAL;
+    this.closeReason = '';
+    this.closeTimer = null;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('close', () => this.onSocketClose());
+    socket.on('error', () => socket.destroy());
+
+    this.heartbeat = setInterval(() => this.checkAlive(), WS_PING_INTERVAL_MS);
+    this.heartbeat.unref();
+
+    if (head && head.length > 0) this.onData(head);
   }
 
   /**
-   * Get a price quote from Meteora DEX
-   * Similar latency but slightly different price range (97-102%)
-   * @param {string} tokenIn - Input token symbol
-   * @param {string} tokenOut - Output token symbol
-   * @param {number} amount - Amount to swap
-   * @returns {Promise<{price, fee, dex}>} Quote with price, fee, and DEX name
+   * Send a text message
+   * @param {string} text - Message to send (JSON string)
    */
-  async getMeteoraQuote(tokenIn, tokenOut, amount) {
-    // Simulate network latency
-    await sleep(200 + Math.random() * 200);
-    // Generate price with 5% variance (97-102% of base price) - wider range
-    const price = this.basePrice * (0.97 + Math.random() * 0.05);
-    return { price, fee: 0.002, dex: 'meteora' };
+  send(text) {
+    if (this.state !== 'open') return;
+    this.socket.write(createWebSocketFrame(Buffer.from(text), WS_OPCODES.TEXT));
   }
 
   /**
-   * Execute a swap on the selected DEX
-   * Simulates transaction confirmation time (2-3 seconds)
-   * @param {string} dex - DEX name ('raydium' or 'meteora')
-   * @param {object} order - Order object containing swap details
-   * @returns {Promise<{txHash, executedPrice}>} Transaction hash and final execution price
+   * Start the close handshake
+   * @param {number} [code] - Close status code (default 1000)
+   * @param {string} [reason] - Short human-readable reason
    */
-  async executeSwap(dex, order) {
-    // Simulate blockchain transaction confirmation time
-    await sleep(2000 + Math.random() * 1000);
-    // Generate a unique transaction hash
-    const txHash = uuidv4();
-    // Calculate executed price with slight slippage (±0.5%)
-    const executedPrice = this.basePrice * (dex === 'raydium' ? 1.0 : 0.995) * (1 + (Math.random() - 0.5) * 0.01);
-    return { txHash, executedPrice };
-  }
-}
+  close(code = WS_CLOSE_CODES.NORMAL, reason = '') {
+    if (this.state !== 'open') return;
+    this.state = 'closing';
+    this.closeCode = code;
+    this.closeReason = reason;
 
-// ============ ORDER PROCESSOR ============
+    const reasonBuf = Buffer.from(reason);
+    const payload = Buffer.alloc(2 + reasonBuf.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBuf.copy(payload, 2);
+    this.socket.write(createWebSocketFrame(payload, WS_OPCODES.CLOSE));
 
-/**
- * Map of active WebSocket connections
- * Key: orderId, Value: send function to emit status updates
- * Used to maintain bidirectional communication with connected clients
- */
-const wsClients = new Map();
+    // Give the peer a moment to answer with its own close frame
+    this.closeTimer = setTimeout(() => this.socket.destroy(), WS_CLOSE_TIMEOUT_MS);
+    this.closeTimer.unref();
+  }
 
-/**
- * Process an order through the complete execution pipeline
- * 
- * Pipeline stages:
- * 1. pending - Order received, waiting for routing
- * 2. routing - Fetching quotes from both DEXs in parallel
- * 3. building - Selecting best DEX and preparing transaction
- * 4. submitted - Transaction submitted to blockchain
- * 5. confirmed - Transaction confirmed and order complete
- * 
- * Each stage emits a status update via WebSocket
- * 
- * @param {object} data - Order data {type, tokenIn, tokenOut, amountIn}
- * @param {string} orderId - Unique order identifier for tracking
- * @returns {Promise<{txHash}>} Transaction hash on success
- * @throws {Error} If any stage fails, emits 'failed' status and rethrows
- */
-async function processOrder(data, orderId) {
-  // Initialize DEX router for this order
-  const dex = new MockDexRouter();
-  const shortId = orderId.substring(0, 12);
-  
-  console.log(`\n${'═'.repeat(80)}`);
-  console.log(`📋 ORDER QUEUED [${shortId}]`);
-  console.log(`${'═'.repeat(80)}`);
-  console.log(`  💱 Swap: ${data.amountIn} ${data.tokenIn} → ${data.tokenOut}`);
-  console.log(`  🔀 Type: Market Order (immediate execution)`);
-  console.log(`${'─'.repeat(80)}`);
+  /**
+   * Fail the connection: send a close frame and stop reading
+   * @param {number} code - Close status code describing the violation
+   * @param {string} reason - Short human-readable reason
+   */
+  fail(code, reason) {
+    this.failed = true;
+    this.buffer = Buffer.alloc(0);
+    this.close(code, reason);
+    this.socket.end();
+  }
 
   /**
-   * Helper function to emit status updates to the client via WebSocket
-   * @param {object} payload - Status update object with status and optional details
+   * Heartbeat tick: drop the peer if it stayed silent since the last ping
    */
-  function emit(payload) {
-    const sender = wsClients.get(orderId);
-    if (sender) {
-      try {
-        sender(JSON.stringify(payload));
-      } catch (e) {
-        // Silently ignore send failures (client may have disconnected)
-      }
+  checkAlive() {
+    if (!this.alive) {
+      this.socket.destroy();
+      return;
+    }
+    this.alive = false;
+    if (this.state === 'open') {
+      this.socket.write(createWebSocketFrame(Buffer.alloc(0), WS_OPCODES.PING));
     }
   }
 
-  try {
-    // Stage 1: Order received
-    console.log(`\n⏳ [${shortId}] STAGE 1/5: PENDING`);
-    console.log(`  └─ Order received in queue, awaiting processing...`);
-    emit({ status: 'pending' });
+  /**
+   * Buffer incoming bytes and handle every complete frame
+   * @param {Buffer} chunk - Data read from the socket
+   */
+  onData(chunk) {
+    if (this.failed) return;
+    this.alive = true;
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
 
-    // Stage 2: Routing - fetch quotes from both DEXs in parallel
-    console.log(`\n🔀 [${shortId}] STAGE 2/5: ROUTING (Fetching DEX quotes in parallel...)`);
-    const startRoute = Date.now();
-    const [r, m] = await Promise.all([
-      (async () => {
-        console.log(`  └─ Querying Raydium...`);
-        const quote = await dex.getRaydiumQuote(data.tokenIn, data.tokenOut, data.amountIn);
-        console.log(`     ✓ Raydium Quote: $${quote.price.toFixed(2)} (fee: ${(quote.fee * 100).toFixed(2)}%)`);
-        return quote;
-      })(),
-      (async () => {
-        console.log(`  └─ Querying Meteora...`);
-        const quote = await dex.getMeteoraQuote(data.tokenIn, data.tokenOut, data.amountIn);
-        console.log(`     ✓ Meteora Quote: $${quote.price.toFixed(2)} (fee: ${(quote.fee * 100).toFixed(2)}%)`);
-        return quote;
-      })()
-    ]);
-    const routeTime = Date.now() - startRoute;
-
-    // Choose DEX with better price (lower price = better rate for swap)
-    const chosen = r.price <= m.price ? r : m;
-    const other = r.price <= m.price ? m : r;
-    console.log(`\n📊 [${shortId}] ROUTING DECISION:`);
-    console.log(`  ✅ SELECTED: ${chosen.dex.toUpperCase()} @ $${chosen.price.toFixed(2)}`);
-    console.log(`     vs.    ${other.dex.toUpperCase()} @ $${other.price.toFixed(2)} (difference: ${Math.abs(other.price - chosen.price).toFixed(2)})`);
-    console.log(`  ⏱️  Route time: ${routeTime}ms`);
-    emit({ status: 'routing', chosen: chosen.dex, price: chosen.price.toFixed(2) });
+    let frame;
+    while (!this.failed && (frame = this.readFrame())) {
+      this.handleFrame(frame);
+    }
+  }
 
-    // Stage 3: Building - prepare transaction
-    console.log(`\n🔨 [${shortId}] STAGE 3/5: BUILDING (Preparing transaction...)`);
-    const startBuild = Date.now();
-    await sleep(200); // Simulate transaction preparation
-    const buildTime = Date.now() - startBuild;
-    console.log(`  └─ ✓ Transaction prepared (${buildTime}ms)`);
-    emit({ status: 'building' });
+  /**
+   * Decode one frame from the front of the buffer
+   * @returns {{fin: boolean, opcode: number, payload: Buffer}|null} Frame, or null if incomplete or invalid
+   */
+  readFrame() {
+    const buf = this.buffer;
+    if (buf.length < 2) return null;
 
-    // Stage 4: Submitted - execute the swap on blockchain
-    console.log(`\n🚀 [${shortId}] STAGE 4/5: SUBMITTED (Broadcasting to ${chosen.dex}...)`);
-    const startExec = Date.now();
-    const exec = await dex.executeSwap(chosen.dex, data);
-    const execTime = Date.now() - startExec;
-    console.log(`  └─ ✓ Transaction confirmed in ${execTime}ms`);
-    console.log(`     TX: ${exec.txHash.substring(0, 24)}...`);
-    emit({ status: 'submitted' });
+    const fin = (buf[0] & 0x80) !== 0;
+    const rsv = buf[0] & 0x70;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
 
-    // Stage 5: Confirmed - order complete
-    console.log(`\n✅ [${shortId}] STAGE 5/5: CONFIRMED (Order complete!)`);
-    console.log(`  └─ Executed Price: $${exec.executedPrice.toFixed(2)}`);
-    console.log(`  └─ Slippage: ${Math.abs((exec.executedPrice - chosen.price) / chosen.price * 100).toFixed(2)}%`);
-    console.log(`\n${'═'.repeat(80)}`);
-    emit({ status: 'confirmed', txHash: exec.txHash.slice(0, 16) + '...', executedPrice: exec.executedPrice.toFixed(2) });
-    return { txHash: exec.txHash };
-  } catch (err) {
-    // On error, emit failed status and rethrow for logging
-    const reason = err?.message || String(err);
-    console.log(`\n❌ [${shortId}] STAGE FAILED: ${reason}`);
-    console.log(`${'═'.repeat(80)}`);
-    emit({ status: 'failed', error: reason });
-    throw err;
+    if (rsv !== 0) {
+      this.fail(WS_CLOSE_CODES.PROTOCOL_ERROR, 'Reserved bits must be 0');
+      return null;
+    }
+    if (!masked) {
+      this.fail(WS_CLOSE_CODES.PROTOCOL_ERROR, 'Client frames must be masked');
+      return null;
+    }
+
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      const bigLength = buf.readBigUInt64BE(2);
+      length = bigLength > BigInt(WS_MAX_MESSAGE_BYTES) ? Infinity : Number(bigLength);
+      offset = 10;
+    }
+    if (length > WS_MAX_MESSAGE_BYTES) {
+      this.fail(WS_CLOSE_CODES.MESSAGE_TOO_BIG, 'Message too big');
+      return null;
+    }
+
+    // 4-byte masking key precedes the payload
+    if (buf.length < offset + 4 + length) return null;
+    const mask = buf.subarray(offset, offset + 4);
+    const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i & 3];
+    }
+    this.buffer = buf.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
   }
-}
 
-// ============ HTTP SERVER ============
+  /**
+   * Act on a decoded frame
+   * @param {{fin: boolean, opcode: number, payload: Buffer}} frame - Unmasked frame
+   */
+  handleFrame({ fin, opcode, payload }) {
+    // Control frames may arrive between fragments of a data message
+    if (opcode >= 0x8) {
+      if (!fin || payload.length > 125) {
+        this.fail(WS_CLOSE_CODES.PROTOCOL_ERROR, 'Invalid control frame');
+        return;
+      }
+      if (opcode === WS_OPCODES.CLOSE) {
+        this.onCloseFrame(payload);
+      } else if (opcode === WS_OPCODES.PING) {
+        if (this.state === 'open') this.socket.write(createWebSocketFrame(payload, WS_OPCODES.PONG));
+      } else if (opcode !== WS_OPCODES.PONG) {
+        this.fail(WS_CLOSE_CODES.PROTOCOL_ERROR, 'Unknown opcode');
+      }
+      return;
+    }
 
-/**
- * Server port configuration
- * Uses PORT environment variable or defaults to 3000
- */
-const PORT = parseInt(process.env.PORT || '3000', 10);
+    if (opcode === WS_OPCODES.CONTINUATION) {
+      if (!this.fragments) {
+        this.fail(WS_CLOSE_CODES.PROTOCOL_ERROR, 'Unexpected continuation frame');
+        return;
+      }
+    } else if (opcode === WS_OPCODES.TEXT || opcode === WS_OPCODES.BINARY) {
+      if (this.fragments) {
+        this.fail(WS_CLOSE_CODES.PROTOCOL_ERROR, 'Expected continuation frame');
+        return;
+      }
+      this.fragments = { opcode, chunks: [], size: 0 };
+    } else {
+      this.fail(WS_CLOSE_CODES.PROTOCOL_ERROR, 'Unknown opcode');
+      return;
+    }
 
-/**
- * HTTP Server that handles order submission
- * 
- * Endpoints:
- * - POST /api/orders/execute - Submit a new market order
- * 
- * CORS is enabled for all origins to allow frontend communication
- */
-const server = http.createServer((req, res) => {
-  // Enable CORS for cross-origin requests from frontend
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    const message = this.fragments;
+    message.chunks.push(payload);
+    message.size += payload.length;
+    if (message.size > WS_MAX_MESSAGE_BYTES) {
+      this.fail(WS_CLOSE_CODES.MESSAGE_TOO_BIG, 'Message too big');
+      return;
+    }
+    if (!fin) return;
+    this.fragments = null;
 
-  // Handle CORS preflight requests
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
-    return;
-  }
+    // Data received after we started closing is discarded
+    if (this.state !== 'open') return;
+    if (message.opcode === WS_OPCODES.BINARY) {
+      this.close(WS_CLOSE_CODES.UNSUPPORTED_DATA, 'Binary messages are not supported');
+      return;
+    }
 
-  // Parse URL and extract path and query parameters
-  const parsedUrl = url.parse(req.url, true);
-  const pathname = parsedUrl.pathname;
-  const query = parsedUrl.query;
+    let text;
+    try {
+      text = utf8Decoder.decode(Buffer.concat(message.chunks));
+    } catch (err) {
+      this.fail(WS_CLOSE_CODES.INVALID_PAYLOAD, 'Invalid UTF-8');
+      return;
+    }
+    this.emit('message', text);
+  }
 
-  // ===== Serve static files from public folder =====
-  if (req.method === 'GET' && !pathname.startsWith('/api/')) {
-    let filePath = pathname === '/' ? '/index.html' : pathname;
-    filePath = path.join(__dirname, 'public', filePath);
-    
-    // Security: prevent directory traversal
-    if (!filePath.startsWith(path.join(__dirname, 'public'))) {
-      res.writeHead(403, { 'Content-Type': 'text/plain' });
-      res.end('Forbidden');
+  /**
+   * Handle a close frame from the peer
+   * Echoes the status code if the peer started the handshake, then ends the socket
+   * @param {Buffer} payload - Close frame payload (optional code + reason)
+   */
+  onCloseFrame(payload) {
+    let code = WS_CLOSE_CODES.NO_STATUS;
+    let reason = '';
+    if (payload.length === 1) {
+      this.fail(WS_CLOSE_CODES.PROTOCOL_ERROR, 'Invalid close frame');
       return;
     }
-    
-    fs.stat(filePath, (err, stats) => {
-      if (err || !stats.isFile()) {
-        res.writeHead(404, { 'Content-Type': 'text/plain' });
-        res.end('Not Found');
+    if (payload.length >= 2) {
+      code = payload.readUInt16BE(0);
+      if (!isValidCloseCode(code)) {
+        this.fail(WS_CLOSE_CODES.PROTOCOL_ERROR, 'Invalid close code');
         return;
       }
-      
-      const contentType = filePath.endsWith('.html') ? 'text/html' : 
-                         filePath.endsWith('.js') ? 'text/javascript' :
-                         filePath.endsWith('.css') ? 'text/css' : 'text/plain';
-      res.writeHead(200, { 'Content-Type': contentType });
-      fs.createReadStream(filePath).pipe(res);
-    });
-    return;
-  }
-
-  // ===== POST /api/orders/execute - Submit Order =====
-  if (pathname === '/api/orders/execute' && req.method === 'POST') {
-    let body = '';
-    
-    // Collect incoming data chunks
-    req.on('data', (chunk) => {
-      body += chunk.toString('utf8');
-      // Protect against excessively large payloads (>1MB)
-      if (body.length > 1e6) {
-        res.writeHead(413, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Payload too large' }));
+      try {
+        reason = utf8Decoder.decode(payload.subarray(2));
+      } catch (err) {
+        this.fail(WS_CLOSE_CODES.INVALID_PAYLOAD, 'Invalid UTF-8');
+        return;
       }
-    });
+    }
 
-    // Process complete request body
-    req.on('end', () => {
-      try {
-        // Parse JSON body
-        const data = JSON.parse(body);
-
-        // Validate required fields
-        if (!data || data.type !== 'market' || !data.tokenIn || !data.tokenOut || !data.amountIn) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'invalid order. required: type=market, tokenIn, tokenOut, amountIn' }));
-          return;
-        }
+    if (this.state === 'open') {
+      this.state = 'closing';
+      this.closeCode = code;
+      this.closeReason = reason;
+      const echo = payload.length >= 2 ? payload.subarray(0, 2) : Buffer.alloc(0);
+      this.socket.write(createWebSocketFrame(echo, WS_OPCODES.CLOSE));
+    }
+    this.socket.end();
+  }
 
-        // Generate unique order ID and WebSocket URL for client
-        const orderId = uuidv4();
-        // Determine host and protocol, preferring forwarded headers (used by proxies)
-        const forwardedHost = req.headers['x-forwarded-host'];
-        const forwardedProto = req.headers['x-forwarded-proto'];
-        const host = forwardedHost || req.headers.host || 'localhost:' + PORT;
-        // Prefer wss when the original request was https or proxy indicates https
-        const isSecure = (forwardedProto && forwardedProto.includes('https')) || (host && host.includes('railway.app')) || (req.connection && req.connection.encrypted);
-        const protocol = isSecure ? 'wss' : 'ws';
-        // Strip any port from host when appropriate (keep host as provided otherwise)
-        const cleanHost = host.split(',')[0].trim();
-        const wsUrl = `${protocol}://${cleanHost}/api/orders/execute?orderId=${orderId}`;
-        const shortId = orderId.substring(0, 12);
-        // Log the WebSocket URL sent to the client for debugging
-        console.log(`   └─ WS URL: ${wsUrl}`);
-
-        // Log order submission
-        console.log(`\n📥 NEW ORDER RECEIVED [${shortId}]`);
-        console.log(`   POST /api/orders/execute`);
-        console.log(`   Amount: ${data.amountIn} ${data.tokenIn} → ${data.tokenOut}`);
-
-        // Start processing order asynchronously (don't block HTTP response)
-        processOrder(data, orderId).catch((e) => {
-          console.error(`[${shortId}] Fatal Error:`, e.message);
-        });
+  /**
+   * Clean up once the underlying socket is gone
+   */
+  onSocketClose() {
+    if (this.state === 'closed') return;
+    this.state = 'closed';
+    clearInterval(this.heartbeat);
+    clearTimeout(this.closeTimer);
+    this.emit('close', this.closeCode, this.closeReason);
+  }
+}
 
-        // Log queue entry
-        console.log(`   ✓ Enqueued to processing queue`);
+/**
+ * Reject an upgrade request with a plain HTTP status line
+ * @param {net.Socket} socket - Raw socket of the upgrade request
+ * @param {string} status - Status line, e.g. '404 Not Found'
+ * @param {string} [headers] - Extra header lines, each terminated by CRLF
+ */
+function rejectUpgrade(socket, status, headers = '') {
+  socket.write(`HTTP/1.1 ${status}\r\n${headers}\r\n`);
+  socket.destroy();
+}
 
-        // Respond with order ID and WebSocket URL
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ orderId, wsUrl }));
-      } catch (err) {
-        // Handle JSON parsing errors
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
-      }
-    });
-    return;
+/**
+ * Validate the RFC 6455 opening handshake and switch the socket to WebSocket framing
+ *
+ * Rejects with 400 for non-GET or malformed requests (missing Upgrade header,
+ * Sec-WebSocket-Key that is not a base64-encoded 16-byte value) and with
+ * 426 + Sec-WebSocket-Version: 13 for unsupported protocol versions.
+ *
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {net.Socket} socket - Raw socket to switch to WebSocket framing
+ * @param {Buffer} head - Bytes received after the upgrade request
+ * @returns {WebSocketConnection|null} Open connection, or null if the request was rejected
+ */
+function acceptWebSocket(req, socket, head) {
+  const upgrade = (req.headers.upgrade || '').toLowerCase();
+  const key = req.headers['sec-websocket-key'];
+  const version = req.headers['sec-websocket-version'];
+
+  if (req.method !== 'GET' || upgrade !== 'websocket' || !/^[A-Za-z0-9+/]{22}==$/.test(key || '')) {
+    rejectUpgrade(socket, '400 Bad Request');
+    return null;
+  }
+  if (version !== '13') {
+    rejectUpgrade(socket, '426 Upgrade Required', 'Sec-WebSocket-Version: 13\r\n');
+    return null;
   }
 
-  // Fallback: Return 404 for unknown routes
-  res.writeHead(404, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ error: 'Not Found' }));
-});
+  // Compute the acceptance hash using the protocol-defined GUID
+  // This proves the server understands the WebSocket protocol
+  const hash = crypto
+    .createHash('sha1')
+    .update(key + WS_GUID)
+    .digest('base64');
 
-// ============ WEBSOCKET HANDLER ============
+  // Send upgrade response to complete the handshake
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${hash}\r\n` +
+    '\r\n'
+  );
+
+  return new WebSocketConnection(socket, head);
+}
 
 /**
  * WebSocket upgrade handler for bidirectional communication
@@ -359,12 +5231,22 @@ const server = http.createServer((req, res) => {
  * Handles HTTP upgrade requests and converts them to WebSocket connections
  * Following RFC 6455 protocol standard
  * 
- * Connection flow:
+ * Endpoints:
+ * - /api/orders/execute?orderId=<id>[&lastSeq=<n>] - Status events of one order
+ * - /api/orders/stream[?pair=A/B | tokenIn=A&tokenOut=B] - Events of every order
+ * 
+ * Both need an API key when keys are configured (headers, or apiKey /
+ * timestamp / signature query parameters for browsers), rejected with
+ * 401/429 otherwise. Order connections only open for the key's own orders
+ * and non-admin streams only carry the key's own orders.
+ * 
+ * Order connection flow:
  * 1. Client sends HTTP Upgrade request with valid WebSocket headers
- * 2. Server validates orderId query parameter
+ * 2. Server authenticates the caller and validates the orderId query parameter
  * 3. Server sends 101 Switching Protocols response
- * 4. Connection is registered in wsClients Map
- * 5. Status updates are sent via WebSocket frames
+ * 4. Recorded events with seq > lastSeq (query parameter, default 0) are replayed
+ * 5. Connection is added to the order's subscribers in wsClients
+ * 6. Live status updates are sent via WebSocket frames
  */
 server.on('upgrade', (req, socket, head) => {
   // Parse URL to extract pathname and query parameters
@@ -372,83 +5254,106 @@ server.on('upgrade', (req, socket, head) => {
   const pathname = parsedUrl.pathname;
   const query = parsedUrl.query;
 
+  let principal;
+  try {
+    principal = apiKeys.authenticate(req, query);
+  } catch (err) {
+    const status = AUTH_ERROR_STATUS[err.code] === 429 ? '429 Too Many Requests' : '401 Unauthorized';
+    rejectUpgrade(socket, status);
+    return;
+  }
+
   if (pathname === '/api/orders/execute') {
     // Extract order ID from query parameter
     const orderId = query.orderId;
-    if (!orderId) {
-      // Reject connection if orderId is missing
-      socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
-      socket.destroy();
+    const lastSeq = query.lastSeq === undefined ? 0 : parseInt(query.lastSeq, 10);
+    if (!orderId || !(lastSeq >= 0)) {
+      // Reject connection if orderId is missing or lastSeq is malformed
+      rejectUpgrade(socket, '400 Bad Request');
+      return;
+    }
+
+    const order = orders.get(orderId);
+    if (!order || !apiKeys.canAccess(principal, order)) {
+      // Reject connection for orders the engine has never seen (or another key's orders)
+      rejectUpgrade(socket, '404 Not Found');
       return;
     }
 
     // ===== Upgrade to WebSocket Protocol (RFC 6455) =====
-    
-    // Extract the WebSocket key from request headers
-    const key = req.headers['sec-websocket-key'];
-    
-    // Compute the acceptance hash using the protocol-defined GUID
-    // This proves the server understands the WebSocket protocol
-    const hash = crypto
-      .createHash('sha1')
-      .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
-      .digest('base64');
-
-    // Send upgrade response to complete the handshake
-    socket.write(
-      'HTTP/1.1 101 Switching Protocols\r\n' +
-      'Upgrade: websocket\r\n' +
-      'Connection: Upgrade\r\n' +
-      `Sec-WebSocket-Accept: ${hash}\r\n` +
-      '\r\n'
-    );
+    const conn = acceptWebSocket(req, socket, head);
+    if (!conn) return;
+    const send = (msg) => conn.send(msg);
 
-    /**
-     * Send function: wraps messages in WebSocket frames
-     * @param {string} msg - Message to send (JSON string)
-     */
-    const send = (msg) => {
-      try {
-        const buf = Buffer.from(msg);
-        const frame = createWebSocketFrame(buf);
-        socket.write(frame);
-      } catch (e) {
-        // Silently ignore send errors
+    // Replay missed history, then register for live updates. Both happen
+    // synchronously, so no event can slip in between.
+    const shortId = orderId.substring(0, 12);
+    const missed = order.events.filter((e) => e.seq > lastSeq);
+    console.log(`\n🔌 WEBSOCKET CONNECTED [${shortId}]`);
+    console.log(`   └─ Replaying ${missed.length} event(s) after seq ${lastSeq}, listening for status updates...`);
+    for (const event of missed) {
+      send(JSON.stringify(event));
+    }
+    const subscribers = wsClients.get(orderId) || new Set();
+    subscribers.add(send);
+    wsClients.set(orderId, subscribers);
+
+    // Remove only this subscriber; others keep receiving updates
+    const unsubscribe = () => {
+      subscribers.delete(send);
+      if (subscribers.size === 0 && wsClients.get(orderId) === subscribers) {
+        wsClients.delete(orderId);
       }
     };
 
-    // Register this connection for receiving order status updates
-    const shortId = orderId.substring(0, 12);
-    console.log(`\n🔌 WEBSOCKET CONNECTED [${shortId}]`);
-    console.log(`   └─ Listening for status updates...`);
-    wsClients.set(orderId, send);
+    // Clients may cancel or amend the order over the same socket
+    conn.on('message', (text) => {
+      conn.send(JSON.stringify(handleOrderCommand(orderId, text)));
+    });
 
-    // Handle client disconnection - cleanup
-    socket.on('close', () => {
-      console.log(`🔌 WEBSOCKET DISCONNECTED [${shortId}]`);
-      wsClients.delete(orderId);
+    // Handle client disconnection (close handshake, heartbeat timeout or socket error) - cleanup
+    conn.on('close', (code) => {
+      console.log(`🔌 WEBSOCKET DISCONNECTED [${shortId}] (code ${code})`);
+      unsubscribe();
     });
+  } else if (pathname === '/api/orders/stream') {
+    // Optional token pair filter
+    let { tokenIn, tokenOut } = query;
+    if (query.pair) {
+      [tokenIn, tokenOut] = String(query.pair).split('/');
+      if (!tokenIn || !tokenOut) {
+        rejectUpgrade(socket, '400 Bad Request');
+        return;
+      }
+    }
 
-    // Handle socket errors - cleanup
-    socket.on('error', () => {
-      wsClients.delete(orderId);
+    const conn = acceptWebSocket(req, socket, head);
+    if (!conn) return;
+    const owner = principal && !principal.admin ? principal.id : undefined;
+    const subscriber = { send: (msg) => conn.send(msg), tokenIn, tokenOut, owner };
+    const filterLabel = tokenIn || tokenOut ? `${tokenIn || '*'}/${tokenOut || '*'}` : 'all pairs';
+    console.log(`\n📡 STREAM CONNECTED (${filterLabel})`);
+    streamClients.add(subscriber);
+
+    conn.on('close', (code) => {
+      console.log(`📡 STREAM DISCONNECTED (${filterLabel}, code ${code})`);
+      streamClients.delete(subscriber);
     });
   } else {
     // Reject upgrade for unknown paths
-    socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
-    socket.destroy();
+    rejectUpgrade(socket, '404 Not Found');
   }
 });
 
 /**
- * Create a WebSocket frame following RFC 6455 specification
+ * Create an unmasked server-to-client WebSocket frame following RFC 6455 specification
  * 
  * Frame structure:
- * [0x81] [payload length] [payload]
+ * [0x80 | opcode] [payload length] [payload]
  * 
- * The first byte (0x81) indicates:
+ * The first byte indicates:
  * - FIN bit (0x80): Message is final fragment
- * - opcode (0x01): Text frame
+ * - opcode: 0x01 text (default), 0x08 close, 0x09 ping, 0x0a pong
  * 
  * Payload length encoding depends on actual length:
  * - < 126 bytes: 1 byte length field
@@ -456,29 +5361,30 @@ server.on('upgrade', (req, socket, head) => {
  * - >= 65536 bytes: 8 byte length field with 127 marker
  * 
  * @param {Buffer} payload - Message content to send
+ * @param {number} [opcode] - Frame opcode (default WS_OPCODES.TEXT)
  * @returns {Buffer} Complete WebSocket frame ready to transmit
  */
-function createWebSocketFrame(payload) {
+function createWebSocketFrame(payload, opcode = WS_OPCODES.TEXT) {
   const len = payload.length;
   let frame;
 
   if (len < 126) {
     // Short payload: 2 bytes header + payload
     frame = Buffer.alloc(len + 2);
-    frame[0] = 0x81; // FIN bit (1) + text opcode (1)
+    frame[0] = 0x80 | opcode; // FIN bit + opcode
     frame[1] = len;  // Payload length
     payload.copy(frame, 2);
   } else if (len < 65536) {
     // Medium payload: 4 bytes header + payload
     frame = Buffer.alloc(len + 4);
-    frame[0] = 0x81;
+    frame[0] = 0x80 | opcode;
     frame[1] = 126;  // Extended length marker
     frame.writeUInt16BE(len, 2); // 2-byte length
     payload.copy(frame, 4);
   } else {
     // Large payload: 10 bytes header + payload
     frame = Buffer.alloc(len + 10);
-    frame[0] = 0x81;
+    frame[0] = 0x80 | opcode;
     frame[1] = 127;  // Extended length marker for 8-byte length
     frame.writeBigUInt64BE(BigInt(len), 2); // 8-byte length
     payload.copy(frame, 10);
@@ -487,28 +5393,54 @@ function createWebSocketFrame(payload) {
   return frame;
 }
 
-server.listen(PORT, '0.0.0.0', () => {
+/**
+ * Recover persisted orders and start accepting connections
+ * @param {number} [port] - Port to listen on (PORT by default, 0 for any free port)
+ * @param {function(): void} [onListening] - Called once the server is listening
+ * @returns {http.Server} The listening server
+ */
+function start(port = PORT, onListening) {
+  recoverOrders();
+  server.on('error', (err) => {
+    console.error('Server error:', err);
+    process.exit(1);
+  });
+  return server.listen(port, '0.0.0.0', onListening);
+}
+
+// Tools such as bench.js and the tests require() the engine and start it themselves
+module.exports = { start, server, orderEvents, METRIC_STAGES, TERMINAL_STATUSES, WebSocketConnection, WS_OPCODES, WS_CLOSE_CODES };
+
+if (require.main === module) start(PORT, () => {
   console.log('\n╔════════════════════════════════════════════════════════════════╗');
   console.log('║      🚀 Order Execution Engine - Backend Server 🚀            ║');
   console.log('╚════════════════════════════════════════════════════════════════╝\n');
   console.log('📊 System Configuration:');
   console.log(`   ✓ HTTP Server: http://localhost:${PORT}`);
-  console.log(`   ✓ WebSocket: ws://localhost:${PORT}`);
-  console.log(`   ✓ Order API: POST /api/orders/execute`);
-  console.log(`   ✓ DEX Routing: Raydium ↔ Meteora`);
-  console.log(`   ✓ Processing: Concurrent (queue-based)\n`);
+  console.log(`   ✓ WebSocket: ws://localhost:${PORT} (per-order + /api/orders/stream)`);
+  console.log(`   ✓ Order API: POST /api/orders/execute (market, limit, sniper)`);
+  console.log(`   ✓ Limit Orders: polled every ${LIMIT_POLL_INTERVAL_MS}ms until price or expiry`);
+  console.log(`   ✓ Sniper Orders: fire on pool launch (auto-launch ${poolFeed.autoLaunch ? 'on' : 'off'}, POST /api/pools)`);
+  console.log(`   ✓ DEX Routing: ${dexRouter.registry.list().map((a) => a.name).join(' ↔ ')} (quote timeout ${DEX_QUOTE_TIMEOUT_MS}ms)`);
+  console.log(`   ✓ Processing: ${ORDER_CONCURRENCY} workers, ≤ ${ORDER_RATE_LIMIT} orders/s, queue max ${ORDER_QUEUE_MAX}`);
+  console.log(`   ✓ Retries: ${ORDER_MAX_ATTEMPTS} attempts, ${ORDER_BACKOFF_MS}ms exponential backoff`);
+  console.log(`   ✓ Failover: up to ${ORDER_MAX_VENUES} venues, ≤ ${(ORDER_MAX_REROUTE_DETERIORATION * 100).toFixed(1)}% worse than routed`);
+  console.log(`   ✓ Order Store: ${orderStore.filePath || orderStore.constructor.name}`);
+  console.log(`   ✓ Auth: ${apiKeys.enabled ? `${apiKeys.keys.size} API key(s), ≤ ${API_KEY_RATE_LIMIT} req/min, ≤ $${API_KEY_NOTIONAL_LIMIT}/min by default` : 'disabled (set API_KEYS)'}`);
+  console.log(`   ✓ Risk: $${RISK_MIN_ORDER_USD}-$${RISK_MAX_ORDER_USD} per order, ≤ $${RISK_DAILY_NOTIONAL_USD}/day per account`);
+  console.log(`   ✓ Observability: GET /metrics (Prometheus), /healthz, /readyz`);
+  console.log(`   ✓ Webhooks: per-order callbackUrl + ${webhooks.subscriptions.size} global subscription(s), ${WEBHOOK_MAX_ATTEMPTS} attempts, ${WEBHOOK_BACKOFF_MS}ms backoff${WEBHOOK_ALLOW_PRIVATE ? ', private hosts allowed' : ''}${WEBHOOK_SECRET ? '' : ' (callbackUrl off: set WEBHOOK_SECRET)'}`);
+  console.log(`   ✓ Chain: ${CHAIN_SLOT_MS}ms slots, blockhash valid ${CHAIN_BLOCKHASH_VALID_SLOTS} slots, finality after ${CHAIN_FINALITY_SLOTS}`);
+  console.log(`   ✓ Simulation: ${SIM_SEED !== undefined ? `seed ${SIM_SEED}` : 'unseeded'}, ${clock instanceof VirtualClock ? 'virtual' : 'real'} clock${SIM_LATENCY_SCALE !== 1 ? `, latencies ×${SIM_LATENCY_SCALE}` : ''}\n`);
   console.log('📋 Order Lifecycle:');
-  console.log('   1. PENDING → 2. ROUTING → 3. BUILDING → 4. SUBMITTED → 5. CONFIRMED\n');
+  console.log('   1. PENDING → 2. ROUTING → 3. BUILDING → 4. SUBMITTED → PROCESSED → 5. CONFIRMED → FINALIZED');
+  console.log('   Limit orders: WAITING → (price crossed) → PENDING → ... or EXPIRED');
+  console.log('   Sniper orders: WAITING → (pool launched) → PENDING → ... or EXPIRED\n');
   console.log('🔄 Console Output Enabled:');
   console.log('   • Order submission logs');
   console.log('   • DEX quote fetching & comparison');
   console.log('   • Routing decisions');
   console.log('   • WebSocket connections');
-  console.log('   • Status updates (pending → confirmed)\n');
+  console.log('   • Status updates (pending → finalized)\n');
   console.log('🎯 Ready to process orders!\n');
 });
-
-server.on('error', (err) => {
-  console.error('Server error:', err);
-  process.exit(1);
-});
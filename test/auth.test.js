@@ -0,0 +1,115 @@
+/**
+ * API keys: authentication, request signatures, replay protection and admin routes
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startEngine, request, signedHeaders } = require('./helpers');
+
+const ALICE = { key: 'alice-key-123', name: 'alice' };
+const OPS = { key: 'ops-key-456', name: 'ops', admin: true, secret: 's3cret-for-tests' };
+
+process.env.API_KEYS = JSON.stringify([ALICE, OPS]);
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+/**
+ * Status of a WebSocket upgrade request
+ * @param {string} path - Request path including query
+ * @returns {Promise<number>} 101 when the upgrade was accepted, else the HTTP status it was refused with
+ */
+function upgradeStatus(path) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: engine.port,
+      path,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==' }
+    });
+    req.on('upgrade', (res, socket) => {
+      socket.destroy();
+      resolve(101);
+    });
+    req.on('response', (res) => resolve(res.statusCode));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+test('API routes need a known key, static files do not', async () => {
+  assert.equal((await request(engine.port, 'GET', '/api/orders')).status, 401);
+  assert.equal((await request(engine.port, 'GET', '/api/orders', { headers: { 'X-API-Key': 'unknown-key-000' } })).body.code, 'UNAUTHORIZED');
+  assert.equal((await request(engine.port, 'GET', '/api/orders', { headers: { 'X-API-Key': ALICE.key } })).status, 200);
+  assert.equal((await request(engine.port, 'GET', '/api/orders', { headers: { Authorization: `Bearer ${ALICE.key}` } })).status, 200);
+  assert.equal((await request(engine.port, 'GET', '/healthz')).status, 200);
+});
+
+test('admin routes need an admin key', async () => {
+  const res = await request(engine.port, 'GET', '/api/admin/faults', { headers: { 'X-API-Key': ALICE.key } });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'FORBIDDEN');
+});
+
+test('keys with a secret must sign their requests', async () => {
+  const unsigned = await request(engine.port, 'GET', '/api/admin/faults', { headers: { 'X-API-Key': OPS.key } });
+  assert.equal(unsigned.status, 401);
+
+  const signed = await request(engine.port, 'GET', '/api/admin/faults', { headers: signedHeaders(OPS, 'GET', '/api/admin/faults') });
+  assert.equal(signed.status, 200);
+
+  const wrong = await request(engine.port, 'GET', '/api/admin/faults', { headers: signedHeaders({ ...OPS, secret: 'not-the-secret' }, 'GET', '/api/admin/faults') });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, 'INVALID_SIGNATURE');
+
+  const stale = await request(engine.port, 'GET', '/api/admin/faults', { headers: signedHeaders(OPS, 'GET', '/api/admin/faults', '', Date.now() - 120000) });
+  assert.equal(stale.status, 401);
+});
+
+test('the signature covers the query string', async () => {
+  const headers = signedHeaders(OPS, 'GET', '/api/orders?limit=1');
+  assert.equal((await request(engine.port, 'GET', '/api/orders?limit=1', { headers })).status, 200);
+
+  const tampered = await request(engine.port, 'GET', '/api/orders?limit=100', { headers: signedHeaders(OPS, 'GET', '/api/orders?limit=1') });
+  assert.equal(tampered.status, 401);
+  assert.equal(tampered.body.code, 'INVALID_SIGNATURE');
+});
+
+test('the signature covers the body', async () => {
+  const body = JSON.stringify({ dex: 'unknown' });
+  const signed = await request(engine.port, 'POST', '/api/admin/faults', { body, headers: signedHeaders(OPS, 'POST', '/api/admin/faults', body) });
+  assert.equal(signed.body.code, 'INVALID_FAULT');
+
+  const tampered = await request(engine.port, 'POST', '/api/admin/faults', {
+    body: JSON.stringify({ dex: '*' }),
+    headers: signedHeaders(OPS, 'POST', '/api/admin/faults', body)
+  });
+  assert.equal(tampered.status, 401);
+  assert.equal(tampered.body.code, 'INVALID_SIGNATURE');
+});
+
+test('a signed request is accepted only once', async () => {
+  const headers = signedHeaders(OPS, 'GET', '/api/account');
+  assert.equal((await request(engine.port, 'GET', '/api/account', { headers })).status, 200);
+
+  const replay = await request(engine.port, 'GET', '/api/account', { headers });
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.code, 'REPLAYED_REQUEST');
+});
+
+test('WebSocket upgrades are authenticated like HTTP requests', async () => {
+  assert.equal(await upgradeStatus('/api/orders/stream'), 401);
+  assert.equal(await upgradeStatus(`/api/orders/stream?apiKey=${ALICE.key}`), 101);
+
+  const timestamp = Date.now();
+  const { 'X-Signature': signature } = signedHeaders(OPS, 'GET', `/api/orders/stream?apiKey=${OPS.key}&timestamp=${timestamp}`, '', timestamp);
+  const path = `/api/orders/stream?apiKey=${OPS.key}&timestamp=${timestamp}&signature=${signature}`;
+  assert.equal(await upgradeStatus(path), 101);
+  assert.equal(await upgradeStatus(path), 401);
+});
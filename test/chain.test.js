@@ -0,0 +1,88 @@
+/**
+ * Simulated chain: commitment events, blockhash expiry and the chain settings
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+process.env.DEX_VENUES = 'raydium';
+process.env.ORDER_BACKOFF_MS = '0';
+process.env.CHAIN_BLOCKHASH_VALID_SLOTS = '5';
+process.env.CHAIN_FINALITY_SLOTS = '4';
+
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+/**
+ * Run a market order to the end
+ */
+async function run() {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: MARKET })).body;
+  return waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+}
+
+test('a swap goes submitted → processed → confirmed → finalized, slot by slot', async () => {
+  const view = await run();
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  const find = (status) => view.events.find((e) => e.status === status);
+  const submitted = find('submitted');
+  const processed = find('processed');
+  const confirmed = find('confirmed');
+  const finalized = find('finalized');
+
+  assert.deepEqual(view.events.slice(-4).map((e) => e.status), ['submitted', 'processed', 'confirmed', 'finalized']);
+  assert.ok(submitted.lastValidSlot > submitted.slot && submitted.lastValidSlot <= submitted.slot + 5, JSON.stringify(submitted));
+  assert.equal(processed.txHash, submitted.txHash);
+  assert.ok(processed.slot > submitted.slot && processed.slot <= submitted.lastValidSlot, JSON.stringify(processed));
+  assert.equal(confirmed.txHash, submitted.txHash);
+  assert.equal(confirmed.slot, processed.slot);
+  assert.ok(confirmed.confirmedSlot > processed.slot);
+  assert.ok(finalized.slot >= processed.slot + 4);
+  assert.equal(view.execution.commitment, 'finalized');
+});
+
+test('a transaction that never lands expires with its blockhash and is sent again', async () => {
+  const fault = await request(engine.port, 'POST', '/api/admin/faults', { body: { dex: 'raydium', type: 'dropped_confirmation', count: 1 } });
+  assert.equal(fault.status, 201);
+  const view = await run();
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+
+  const statuses = view.events.map((e) => e.status);
+  const expiredAt = statuses.indexOf('tx_expired');
+  assert.ok(expiredAt > 0, JSON.stringify(statuses));
+  assert.deepEqual(statuses.slice(expiredAt - 1, expiredAt + 2), ['submitted', 'tx_expired', 'retrying']);
+  // Nothing was processed for the dropped transaction
+  assert.equal(statuses.filter((s) => s === 'processed').length, 1);
+
+  const [first, second] = view.events.filter((e) => e.status === 'submitted');
+  const expired = view.events[expiredAt];
+  assert.equal(expired.txHash, first.txHash);
+  assert.equal(expired.lastValidSlot, first.lastValidSlot);
+  assert.ok(expired.slot > first.lastValidSlot);
+  assert.notEqual(second.txHash, first.txHash);
+  assert.ok(second.lastValidSlot > first.lastValidSlot);
+});
+
+for (const name of ['CHAIN_SLOT_MS', 'CHAIN_BLOCKHASH_VALID_SLOTS', 'CHAIN_FINALITY_SLOTS']) {
+  for (const value of ['0', '-1', 'fast', '2.5']) {
+    test(`the engine refuses to load with ${name}=${value}`, () => {
+      const child = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..', 'server-standalone.js'))})`], {
+        env: { ...process.env, ORDER_STORE: 'memory', [name]: value },
+        encoding: 'utf8',
+        timeout: 10000
+      });
+      assert.notEqual(child.status, 0);
+      assert.ok(child.stderr.includes(`${name} must be a positive integer, got '${value}'`), child.stderr);
+    });
+  }
+}
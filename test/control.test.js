@@ -0,0 +1,122 @@
+/**
+ * Order control: cancel and amend over REST and the order's WebSocket
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, connectWebSocket, readUntil, waitForOrder } = require('./helpers');
+
+// One worker and full simulated latencies, so orders queue up and each stage lasts long enough to act on
+process.env.ORDER_CONCURRENCY = '1';
+process.env.SIM_LATENCY_SCALE = '1';
+process.env.CHAIN_SLOT_MS = '100';
+
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+/**
+ * Submit a market order
+ */
+async function submit(body = MARKET) {
+  const res = await request(engine.port, 'POST', '/api/orders/execute', { body });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.orderId;
+}
+
+/**
+ * Send a command over an order's socket and read its reply
+ */
+async function command(ws, message) {
+  ws.send(JSON.stringify(message));
+  for (;;) {
+    const reply = await ws.next();
+    if ('command' in reply) return reply;
+  }
+}
+
+test('a queued order can be amended, then cancelled at once', async () => {
+  const running = await submit();
+  const queued = await submit();
+
+  const amended = await request(engine.port, 'POST', `/api/orders/${queued}/amend`, { body: { amountIn: 2, slippage: 0.1 } });
+  assert.equal(amended.status, 200, JSON.stringify(amended.body));
+  assert.equal(amended.body.order.amountIn, 2);
+  assert.equal(amended.body.order.slippage, 0.1);
+
+  const cancelled = await request(engine.port, 'POST', `/api/orders/${queued}/cancel`);
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, 'cancelled');
+  assert.equal((await request(engine.port, 'GET', `/api/orders/${queued}`)).body.status, 'cancelled');
+
+  const again = await request(engine.port, 'POST', `/api/orders/${queued}/cancel`);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'ORDER_FINISHED');
+  await waitForOrder(engine.port, running, ['finalized', 'failed']);
+});
+
+test('during routing only slippage may change, and a cancel stops the order at the next stage', async () => {
+  const orderId = await submit();
+  const ws = await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}`);
+  await readUntil(ws, ['routing']);
+
+  const resize = await command(ws, { action: 'amend', amountIn: 2 });
+  assert.equal(resize.ok, false);
+  assert.equal(resize.code, 'ROUTING_STARTED');
+  assert.equal((await command(ws, { action: 'amend', slippage: 0.1 })).ok, true);
+
+  const cancel = await command(ws, { action: 'cancel' });
+  assert.deepEqual(cancel, { command: 'cancel', ok: true, result: { orderId, status: 'cancelling' } });
+  const events = await readUntil(ws, ['cancelled', 'submitted', 'failed']);
+  ws.close();
+  assert.equal(events[events.length - 1].status, 'cancelled');
+
+  const view = await request(engine.port, 'GET', `/api/orders/${orderId}`);
+  assert.equal(view.body.status, 'cancelled');
+  assert.equal(view.body.order.slippage, 0.1);
+  assert.equal(view.body.execution, null);
+});
+
+test('once the swap is submitted the order can no longer be changed', async () => {
+  const orderId = await submit();
+  const ws = await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}`);
+  await readUntil(ws, ['submitted']);
+
+  for (const message of [{ action: 'cancel' }, { action: 'amend', slippage: 0.1 }]) {
+    const reply = await command(ws, message);
+    assert.equal(reply.ok, false);
+    assert.equal(reply.code, 'SWAP_SUBMITTED');
+  }
+  const rest = await request(engine.port, 'POST', `/api/orders/${orderId}/cancel`);
+  assert.equal(rest.status, 409);
+  assert.equal(rest.body.code, 'SWAP_SUBMITTED');
+
+  assert.equal((await readUntil(ws, ['finalized', 'failed'])).pop().status, 'finalized');
+  ws.close();
+});
+
+test('unknown orders, invalid amendments and unknown commands are refused', async () => {
+  const missing = await request(engine.port, 'POST', '/api/orders/no-such-order/cancel');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, 'ORDER_NOT_FOUND');
+
+  const running = await submit();
+  const orderId = await submit();
+  for (const body of [{}, { slippage: 5 }, { amountIn: -1 }, { amountIn: '2' }]) {
+    const res = await request(engine.port, 'POST', `/api/orders/${orderId}/amend`, { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.code, 'INVALID_AMENDMENT');
+  }
+
+  const ws = await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}`);
+  assert.equal((await command(ws, { action: 'pause' })).ok, false);
+  ws.close();
+  await request(engine.port, 'POST', `/api/orders/${orderId}/cancel`);
+  await waitForOrder(engine.port, running, ['finalized', 'failed']);
+});
@@ -0,0 +1,123 @@
+/**
+ * Fault injection: the admin API and what each fault type does to an order
+ */
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+// One venue, so every fault hits the order under test
+process.env.DEX_VENUES = 'raydium';
+process.env.DEX_QUOTE_TIMEOUT_MS = '100';
+process.env.ORDER_BACKOFF_MS = '0';
+// Dropped transactions expire after a few slots instead of 150
+process.env.CHAIN_BLOCKHASH_VALID_SLOTS = '5';
+
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.02 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+beforeEach(async () => {
+  await request(engine.port, 'DELETE', '/api/admin/faults');
+});
+
+after(() => engine.server.close());
+
+/**
+ * Arm a fault on raydium, for the next call unless the spec says otherwise
+ */
+async function arm(spec) {
+  const trigger = spec.probability === undefined ? { count: 1 } : {};
+  const res = await request(engine.port, 'POST', '/api/admin/faults', { body: { dex: 'raydium', ...trigger, ...spec } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+}
+
+/**
+ * Run a market order to the end
+ */
+async function run() {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: MARKET })).body;
+  return waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+}
+
+test('faults are armed, listed with their counters and removed', async () => {
+  const once = await arm({ type: 'tx_rejected', count: 2 });
+  assert.equal(once.remaining, 2);
+  const sometimes = await arm({ type: 'stale_quote', probability: 0.5, drift: 0.1 });
+  assert.equal(sometimes.drift, 0.1);
+
+  const { faults } = (await request(engine.port, 'GET', '/api/admin/faults')).body;
+  assert.deepEqual(faults.map((f) => [f.id, f.type, f.triggered]), [[once.id, 'tx_rejected', 0], [sometimes.id, 'stale_quote', 0]]);
+
+  assert.equal((await request(engine.port, 'DELETE', `/api/admin/faults/${once.id}`)).status, 200);
+  assert.equal((await request(engine.port, 'DELETE', `/api/admin/faults/${once.id}`)).status, 404);
+  assert.deepEqual((await request(engine.port, 'DELETE', '/api/admin/faults')).body, { removed: 1 });
+});
+
+test('malformed faults are refused', async () => {
+  const specs = [
+    { dex: 'nowhere', type: 'tx_rejected', count: 1 },
+    { dex: 'raydium', type: 'meteor_strike', count: 1 },
+    { dex: 'raydium', type: 'tx_rejected' },
+    { dex: 'raydium', type: 'tx_rejected', count: 1, probability: 0.5 },
+    { dex: 'raydium', type: 'tx_rejected', probability: 2 },
+    { dex: 'raydium', type: 'stale_quote', count: 1, drift: -0.1 },
+    { dex: 'raydium', type: 'tx_rejected', count: 1, delayMs: 10 }
+  ];
+  for (const body of specs) {
+    const res = await request(engine.port, 'POST', '/api/admin/faults', { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.code, 'INVALID_FAULT');
+  }
+});
+
+test('quote_timeout leaves the order without a quote', async () => {
+  await arm({ type: 'quote_timeout', delayMs: 300 });
+  const view = await run();
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'NO_QUOTES');
+  assert.match(view.error.details.excluded[0].reason, /timed out/);
+});
+
+test('stale_quote routes at a price the pool does not offer, and the fill is reverted', async () => {
+  await arm({ type: 'stale_quote', drift: 0.05 });
+  const view = await run();
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'SLIPPAGE_EXCEEDED');
+});
+
+test('tx_rejected fails the attempt and the retry fills', async () => {
+  const fault = await arm({ type: 'tx_rejected' });
+  const view = await run();
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  const retrying = view.events.filter((e) => e.status === 'retrying');
+  assert.equal(retrying.length, 1);
+  assert.match(retrying[0].error, /rejected/);
+  // Count faults are gone once used up
+  assert.ok(!(await request(engine.port, 'GET', '/api/admin/faults')).body.faults.some((f) => f.id === fault.id));
+});
+
+test('dropped_confirmation expires the transaction with its blockhash and the retry fills', async () => {
+  await arm({ type: 'dropped_confirmation' });
+  const view = await run();
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  const expired = view.events.find((e) => e.status === 'tx_expired');
+  assert.ok(expired, JSON.stringify(view.events.map((e) => e.status)));
+  const firstSubmit = view.events.find((e) => e.status === 'submitted');
+  assert.equal(expired.txHash, firstSubmit.txHash);
+  assert.ok(expired.slot > firstSubmit.lastValidSlot);
+  assert.notEqual(view.execution.txHash, firstSubmit.txHash);
+});
+
+test('extreme_slippage lands the fill beyond the tolerance and reverts it', async () => {
+  await arm({ type: 'extreme_slippage', slippage: 0.1 });
+  const view = await run();
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'SLIPPAGE_EXCEEDED');
+  assert.ok(!view.events.some((e) => e.status === 'processed'));
+});
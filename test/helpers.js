@@ -0,0 +1,260 @@
+/**
+ * Shared helpers for the node:test suites
+ *
+ * Each test file runs in its own process: it sets the engine settings it
+ * needs in process.env, then calls startEngine(), which requires the engine
+ * with TEST_ENGINE_DEFAULTS for everything left unset.
+ * No external dependencies
+ */
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+
+/**
+ * Engine settings applied unless a test file already set them
+ * Orders stay in memory, pools launch only on request and simulated
+ * latencies are cut to 5% so order lifecycles finish quickly
+ */
+const TEST_ENGINE_DEFAULTS = {
+  ORDER_STORE: 'memory',
+  SNIPER_AUTO_LAUNCH: '0',
+  SIM_LATENCY_SCALE: '0.05',
+  CHAIN_SLOT_MS: '20'
+};
+
+/**
+ * Start the engine on a free port
+ * The engine logs every stage of every order; that output is dropped so
+ * test reports stay readable
+ * @returns {Promise<{engine: object, server: http.Server, port: number}>} Running engine
+ */
+function startEngine() {
+  for (const [name, value] of Object.entries(TEST_ENGINE_DEFAULTS)) {
+    if (process.env[name] === undefined) process.env[name] = value;
+  }
+  console.log = () => {};
+  const engine = require('../server-standalone.js');
+  return new Promise((resolve) => {
+    const server = engine.start(0, () => resolve({ engine, server, port: server.address().port }));
+  });
+}
+
+/**
+ * Send a request to the engine
+ * @param {number} port - Engine port
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path including query
+ * @param {{body?: object|string, headers?: object}} [options] - JSON body (objects are serialized) and extra headers
+ * @returns {Promise<{status: number, headers: object, body: object}>} Response with parsed JSON body
+ */
+function request(port, method, path, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers: { 'Content-Type': 'application/json', ...headers } }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(text);
+        } catch (err) {
+          parsed = { error: text };
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Headers for a request signed with an API key secret
+ * @param {{key: string, secret: string}} credentials - API key and its secret
+ * @param {string} method - HTTP method
+ * @param {string} target - Path and query exactly as sent
+ * @param {string} [body] - Raw body
+ * @param {number} [timestamp] - Signed timestamp (now by default)
+ * @returns {object} X-API-Key, X-Timestamp and X-Signature headers
+ */
+function signedHeaders({ key, secret }, method, target, body = '', timestamp = Date.now()) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}${method}${target}${body}`).digest('hex');
+  return { 'X-API-Key': key, 'X-Timestamp': String(timestamp), 'X-Signature': signature };
+}
+
+/**
+ * Encode a client-to-server frame (RFC 6455 section 5.2)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer|string} payload - Frame payload
+ * @param {{fin?: boolean, masked?: boolean}} [options] - Clear fin for all but the last fragment; unmasked frames are a protocol error
+ * @returns {Buffer} Frame
+ */
+function clientFrame(opcode, payload, { fin = true, masked = true } = {}) {
+  const data = Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  if (!masked) return Buffer.concat([header, data]);
+
+  header[1] |= 0x80;
+  const mask = crypto.randomBytes(4);
+  const body = Buffer.from(data);
+  for (let i = 0; i < body.length; i++) body[i] ^= mask[i & 3];
+  return Buffer.concat([header, mask, body]);
+}
+
+/**
+ * Connected socket pair over loopback TCP
+ * @returns {Promise<{client: net.Socket, server: net.Socket, close: function(): void}>} Both ends, and a function closing the listener
+ */
+function socketPair() {
+  return new Promise((resolve, reject) => {
+    const listener = net.createServer();
+    listener.once('connection', (server) => {
+      resolve({ client, server, close: () => listener.close() });
+    });
+    listener.on('error', reject);
+    let client;
+    listener.listen(0, '127.0.0.1', () => {
+      client = net.connect(listener.address().port, '127.0.0.1');
+    });
+  });
+}
+
+/**
+ * Collect the unmasked frames a server writes to a socket
+ * @param {net.Socket} socket - Client end of the connection
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, next: function(): Promise<{opcode: number, payload: Buffer}>, ended: Promise<void>}} Frames so far, the next unread frame, and a promise settled when the server ends the socket
+ */
+function frameReader(socket) {
+  const frames = [];
+  const waiters = [];
+  let read = 0;
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (buffer.length < offset + length) return;
+      frames.push({ opcode: buffer[0] & 0x0f, payload: buffer.subarray(offset, offset + length) });
+      buffer = buffer.subarray(offset + length);
+      while (waiters.length > 0 && read < frames.length) waiters.shift()(frames[read++]);
+    }
+  });
+  const ended = new Promise((resolve) => socket.on('close', resolve));
+  return {
+    frames,
+    next: () => new Promise((resolve) => {
+      if (read < frames.length) resolve(frames[read++]);
+      else waiters.push(resolve);
+    }),
+    ended
+  };
+}
+
+/**
+ * Open a WebSocket connection to the engine
+ * @param {number} port - Engine port
+ * @param {string} path - Upgrade path including query
+ * @param {object} [headers] - Extra request headers
+ * @returns {Promise<{status: number, next?: function(): Promise<object>, send?: function(string): void, close?: function(): void}>}
+ *   status 101 with a reader of the JSON messages sent and a text sender, or the status the upgrade was refused with
+ */
+function connectWebSocket(port, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'), ...headers }
+    });
+    req.on('upgrade', (res, socket, head) => {
+      if (head.length > 0) socket.unshift(head);
+      const reader = frameReader(socket);
+      // Skips heartbeat pings; a close frame ends the stream of messages
+      const next = async () => {
+        for (;;) {
+          const frame = await reader.next();
+          if (frame.opcode === 0x1) return JSON.parse(frame.payload.toString());
+          if (frame.opcode === 0x8) throw new Error('WebSocket closed by the engine');
+        }
+      };
+      resolve({ status: res.statusCode, next, send: (text) => socket.write(clientFrame(0x1, text)), close: () => socket.destroy() });
+    });
+    req.on('response', (res) => {
+      res.resume();
+      resolve({ status: res.statusCode });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Read WebSocket messages until one has one of the given statuses
+ * @param {{next: function(): Promise<object>}} ws - Connection from connectWebSocket
+ * @param {string[]} statuses - Statuses that end the read
+ * @returns {Promise<object[]>} Messages read, the matching one last
+ */
+async function readUntil(ws, statuses) {
+  const messages = [];
+  do {
+    messages.push(await ws.next());
+  } while (!statuses.includes(messages[messages.length - 1].status));
+  return messages;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {function(): (boolean|Promise<boolean>)} condition - Polled every 20ms
+ * @param {number} [timeoutMs] - Give up after this long (default 10000)
+ * @returns {Promise<void>} Resolves once the condition holds
+ * @throws {Error} When the timeout passes first
+ */
+async function waitFor(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Wait until an order reaches one of the given statuses
+ * @param {number} port - Engine port
+ * @param {string} orderId - Order to watch
+ * @param {string[]} statuses - Statuses to wait for
+ * @param {{timeoutMs?: number, headers?: object}} [options] - Give up after timeoutMs (default 10000); headers for authenticated engines
+ * @returns {Promise<object>} Order view (GET /api/orders/:id) in one of the statuses
+ */
+async function waitForOrder(port, orderId, statuses, { timeoutMs = 10000, headers } = {}) {
+  let view;
+  await waitFor(async () => {
+    view = (await request(port, 'GET', `/api/orders/${orderId}`, { headers })).body;
+    return statuses.includes(view.status);
+  }, timeoutMs);
+  return view;
+}
+
+module.exports = { startEngine, request, signedHeaders, clientFrame, socketPair, frameReader, connectWebSocket, readUntil, waitFor, waitForOrder };
@@ -0,0 +1,60 @@
+/**
+ * Limit orders: parking, triggering once the price is crossed, and expiry
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+// Poll often so triggers and expiries are seen within a test's time
+process.env.LIMIT_POLL_INTERVAL_MS = '50';
+
+// USDC → SOL is quoted in USDC per SOL, around the $150 reference price
+const LIMIT = { type: 'limit', tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 300, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+test('a limit order above the market is triggered on the next poll and runs to the end', async () => {
+  const res = await request(engine.port, 'POST', '/api/orders/execute', { body: { ...LIMIT, limitPrice: 200 } });
+  assert.equal(res.status, 200);
+  assert.ok(Date.parse(res.body.expiresAt) > Date.now());
+
+  const view = await waitForOrder(engine.port, res.body.orderId, ['finalized', 'failed']);
+  assert.equal(view.status, 'finalized');
+  const statuses = view.events.map((e) => e.status);
+  assert.equal(statuses[0], 'waiting');
+  assert.ok(statuses.indexOf('pending') > 0);
+  assert.ok(parseFloat(view.routing.price) <= 200);
+});
+
+test('a limit order the market never reaches expires and releases its reservation', async () => {
+  const res = await request(engine.port, 'POST', '/api/orders/execute', { body: { ...LIMIT, limitPrice: 100, expiresInMs: 300 } });
+  assert.equal(res.status, 200);
+  assert.equal((await request(engine.port, 'GET', '/api/account')).body.reserved.USDC, LIMIT.amountIn);
+
+  const view = await waitForOrder(engine.port, res.body.orderId, ['expired', 'pending']);
+  assert.equal(view.status, 'expired');
+  assert.ok(!view.events.some((e) => e.status === 'pending'));
+  // Polls in between report the best quote without recording it
+  assert.deepEqual(view.events.map((e) => e.status), ['waiting', 'expired']);
+  assert.ok(!(await request(engine.port, 'GET', '/api/account')).body.reserved.USDC);
+});
+
+test('limit orders need a positive limitPrice and a bounded expiry', async () => {
+  for (const body of [{ ...LIMIT }, { ...LIMIT, limitPrice: -1 }, { ...LIMIT, limitPrice: 150, expiresInMs: 0 }]) {
+    const res = await request(engine.port, 'POST', '/api/orders/execute', { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+});
+
+test('the clock only advances on demand with SIM_CLOCK=virtual', async () => {
+  const res = await request(engine.port, 'POST', '/api/admin/clock/advance', { body: { ms: 1000 } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'CLOCK_NOT_VIRTUAL');
+});
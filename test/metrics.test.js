@@ -0,0 +1,124 @@
+/**
+ * Observability: the Prometheus /metrics output and the /healthz and /readyz probes
+ */
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startEngine, request, waitForOrder, connectWebSocket } = require('./helpers');
+
+// One venue and no rerouting, so three rejected swaps are raydium's last three calls
+process.env.DEX_VENUES = 'raydium';
+process.env.ORDER_BACKOFF_MS = '0';
+process.env.ORDER_MAX_ATTEMPTS = '3';
+process.env.ORDER_MAX_VENUES = '1';
+
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+beforeEach(async () => {
+  await request(engine.port, 'DELETE', '/api/admin/faults');
+});
+
+after(() => engine.server.close());
+
+/**
+ * Scrape /metrics
+ * @returns {Promise<{type: string, text: string, value: function(string): (number|undefined)}>} Content type,
+ *   raw text and a lookup of a sample's value by its name and labels as rendered
+ */
+async function scrape() {
+  const text = await new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: engine.port, path: '/metrics' }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+  const samples = new Map();
+  for (const line of text.body.split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    const at = line.lastIndexOf(' ');
+    samples.set(line.substring(0, at), parseFloat(line.substring(at + 1)));
+  }
+  return { type: text.type, text: text.body, value: (sample) => samples.get(sample) };
+}
+
+/**
+ * Run a market order to the end
+ */
+async function run() {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: MARKET })).body;
+  return waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+}
+
+test('/metrics counts completed orders, stage timings, venue wins, retries and failures', async () => {
+  assert.equal((await run()).status, 'finalized');
+  await request(engine.port, 'POST', '/api/admin/faults', { body: { dex: 'raydium', type: 'tx_rejected', count: 1 } });
+  assert.equal((await run()).status, 'finalized');
+  await request(engine.port, 'POST', '/api/admin/faults', { body: { dex: 'raydium', type: 'extreme_slippage', count: 1 } });
+  assert.equal((await run()).status, 'failed');
+
+  const metrics = await scrape();
+  assert.match(metrics.type, /^text\/plain; version=0\.0\.4/);
+  assert.match(metrics.text, /# HELP order_engine_orders_completed_total .+\n# TYPE order_engine_orders_completed_total counter\n/);
+  assert.match(metrics.text, /# TYPE order_engine_stage_duration_seconds histogram\n/);
+  assert.match(metrics.text, /# TYPE order_engine_venue_healthy gauge\n/);
+
+  assert.equal(metrics.value('order_engine_orders_completed_total{status="confirmed"}'), 2);
+  assert.equal(metrics.value('order_engine_orders_completed_total{status="failed"}'), 1);
+  assert.equal(metrics.value('order_engine_order_failures_total{code="SLIPPAGE_EXCEEDED"}'), 1);
+  assert.equal(metrics.value('order_engine_swap_retries_total'), 1);
+
+  assert.equal(metrics.value('order_engine_venue_quotes_total{dex="raydium"}'), 3);
+  assert.equal(metrics.value('order_engine_venue_wins_total{dex="raydium"}'), 3);
+  assert.equal(metrics.value('order_engine_venue_win_ratio{dex="raydium"}'), 1);
+  assert.equal(metrics.value('order_engine_realized_slippage_ratio_count'), 2);
+
+  // Histogram buckets are cumulative and end with +Inf = count
+  const total = metrics.text.split('\n').filter((line) => line.startsWith('order_engine_stage_duration_seconds_bucket{stage="total"'));
+  const counts = total.map((line) => parseFloat(line.substring(line.lastIndexOf(' ') + 1)));
+  assert.deepEqual(counts, [...counts].sort((a, b) => a - b));
+  assert.equal(counts[counts.length - 1], 2);
+  assert.equal(metrics.value('order_engine_stage_duration_seconds_bucket{stage="total",le="+Inf"}'), 2);
+  assert.equal(metrics.value('order_engine_stage_duration_seconds_count{stage="total"}'), 2);
+  assert.ok(metrics.value('order_engine_stage_duration_seconds_sum{stage="total"}') > 0);
+
+  assert.equal(metrics.value('order_engine_venue_healthy{dex="raydium"}'), 1);
+  assert.equal(metrics.value('order_engine_queue_waiting'), 0);
+  assert.equal(metrics.value('order_engine_queue_active'), 0);
+});
+
+test('/metrics reports open WebSocket connections per endpoint', async () => {
+  const stream = await connectWebSocket(engine.port, '/api/orders/stream');
+  assert.equal(stream.status, 101);
+  const metrics = await scrape();
+  assert.equal(metrics.value('order_engine_websocket_connections{endpoint="stream"}'), 1);
+  assert.equal(metrics.value('order_engine_websocket_connections{endpoint="order"}'), 0);
+  stream.close();
+});
+
+test('/readyz turns 503 once no venue is healthy, while /healthz keeps answering 200', async () => {
+  const ready = await request(engine.port, 'GET', '/readyz');
+  assert.equal(ready.status, 200);
+  assert.deepEqual(ready.body, { status: 'ok', venues: { healthy: 1, total: 1, unhealthy: [] }, ready: true });
+
+  // Three rejected swaps in a row make raydium unhealthy
+  await request(engine.port, 'POST', '/api/admin/faults', { body: { dex: 'raydium', type: 'tx_rejected', count: 3 } });
+  assert.equal((await run()).status, 'failed');
+
+  const unready = await request(engine.port, 'GET', '/readyz');
+  assert.equal(unready.status, 503);
+  assert.deepEqual(unready.body, { status: 'unavailable', venues: { healthy: 0, total: 1, unhealthy: ['raydium'] }, ready: false });
+
+  const live = await request(engine.port, 'GET', '/healthz');
+  assert.equal(live.status, 200);
+  assert.equal(live.body.status, 'unavailable');
+  assert.equal(typeof live.body.uptimeSec, 'number');
+  assert.equal((await scrape()).value('order_engine_venue_healthy{dex="raydium"}'), 0);
+});
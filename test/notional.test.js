@@ -0,0 +1,60 @@
+/**
+ * API key notional allowance: only admitted orders are charged
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+// Status polling makes many requests; only the notional allowance is under test
+const ALICE = { key: 'alice-key-123', name: 'alice', notionalLimit: 1000, rateLimit: 100000 };
+
+process.env.API_KEYS = JSON.stringify([ALICE]);
+// One busy worker and room for one waiting order, so the third order is turned away
+process.env.ORDER_CONCURRENCY = '1';
+process.env.ORDER_QUEUE_MAX = '1';
+process.env.SIM_LATENCY_SCALE = '1';
+
+const HEADERS = { 'X-API-Key': ALICE.key };
+// $150 at the reference price
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+/**
+ * Submit an order as alice
+ */
+function submit(body) {
+  return request(engine.port, 'POST', '/api/orders/execute', { body, headers: HEADERS });
+}
+
+test('an order turned away with QUEUE_FULL gives its notional back', async () => {
+  const running = await submit(MARKET);
+  const queued = await submit(MARKET);
+  assert.equal(running.status, 200);
+  assert.equal(queued.status, 200);
+
+  const rejected = await submit(MARKET);
+  assert.equal(rejected.status, 503);
+  assert.equal(rejected.body.code, 'QUEUE_FULL');
+
+  // $300 charged so far: $690 more fits the $1000 allowance only if the rejected $150 was refunded
+  await waitForOrder(engine.port, queued.body.orderId, ['routing', 'building', 'submitted', 'processed', 'confirmed', 'finalized'], { headers: HEADERS });
+  const large = await submit({ ...MARKET, amountIn: 4.6 });
+  assert.equal(large.status, 200, JSON.stringify(large.body));
+
+  const over = await submit(MARKET);
+  assert.equal(over.status, 429);
+  assert.equal(over.body.code, 'NOTIONAL_LIMIT_EXCEEDED');
+  assert.equal(over.body.details.used, 990);
+
+  for (const { body } of [running, queued, large]) {
+    await waitForOrder(engine.port, body.orderId, ['finalized', 'failed'], { headers: HEADERS });
+  }
+});
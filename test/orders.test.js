@@ -0,0 +1,86 @@
+/**
+ * Order history: GET /api/orders filters and pagination
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+const ORDERS = [
+  { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 },
+  { type: 'market', tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 150, slippage: 0.05 },
+  { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 2, slippage: 0.05 },
+  // Far below the market, so it waits until the test is over
+  { type: 'limit', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05, limitPrice: 0.001 }
+];
+
+let engine;
+let ids;
+let startedAt;
+
+before(async () => {
+  engine = await startEngine();
+  startedAt = Date.now();
+  ids = [];
+  for (const body of ORDERS) {
+    const res = await request(engine.port, 'POST', '/api/orders/execute', { body });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    ids.push(res.body.orderId);
+  }
+  for (const orderId of ids.slice(0, 3)) await waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+  await waitForOrder(engine.port, ids[3], ['waiting']);
+});
+
+after(async () => {
+  await request(engine.port, 'POST', `/api/orders/${ids[3]}/cancel`);
+  engine.server.close();
+});
+
+/**
+ * Order ids listed for a query string
+ */
+async function listed(search) {
+  const res = await request(engine.port, 'GET', `/api/orders${search}`);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.orders.map((o) => o.orderId);
+}
+
+test('orders are listed newest first without their event history', async () => {
+  const res = await request(engine.port, 'GET', '/api/orders');
+  assert.equal(res.body.total, ORDERS.length);
+  assert.equal(res.body.limit, 50);
+  assert.equal(res.body.offset, 0);
+  assert.deepEqual(res.body.orders.map((o) => o.orderId), [...ids].reverse());
+  assert.equal(res.body.orders[0].events, undefined);
+});
+
+test('orders are filtered by status, tokens and pair', async () => {
+  assert.deepEqual(await listed('?status=waiting'), [ids[3]]);
+  assert.deepEqual(await listed('?status=waiting,finalized'), [...ids].reverse());
+  assert.deepEqual(await listed('?tokenIn=USDC'), [ids[1]]);
+  assert.deepEqual(await listed('?tokenOut=USDC&status=finalized'), [ids[2], ids[0]]);
+  assert.deepEqual(await listed('?pair=SOL/USDC'), [ids[3], ids[2], ids[0]]);
+  assert.deepEqual(await listed('?pair=USDC/SOL'), [ids[1]]);
+});
+
+test('orders are filtered by creation time as epoch ms or ISO-8601', async () => {
+  assert.equal((await listed(`?from=${startedAt}`)).length, ORDERS.length);
+  assert.deepEqual(await listed(`?to=${startedAt - 1}`), []);
+  assert.deepEqual(await listed(`?from=${encodeURIComponent(new Date(Date.now() + 60000).toISOString())}`), []);
+});
+
+test('limit and offset page through the list', async () => {
+  const first = await request(engine.port, 'GET', '/api/orders?limit=2');
+  assert.equal(first.body.total, ORDERS.length);
+  assert.deepEqual(first.body.orders.map((o) => o.orderId), [ids[3], ids[2]]);
+  assert.deepEqual(await listed('?limit=2&offset=2'), [ids[1], ids[0]]);
+  assert.deepEqual(await listed('?offset=10'), []);
+});
+
+test('invalid filters are refused', async () => {
+  for (const search of ['?pair=SOL', '?from=yesterday', '?limit=0', '?limit=501', '?offset=-1']) {
+    const res = await request(engine.port, 'GET', `/api/orders${search}`);
+    assert.equal(res.status, 400, search);
+    assert.ok(res.body.error, search);
+  }
+});
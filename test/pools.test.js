@@ -0,0 +1,84 @@
+/**
+ * Simulated AMM pools: fills move the reserves, and the pool models price size differently
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+// raydium is constant-product, meteora concentrated liquidity
+process.env.DEX_VENUES = 'raydium,meteora';
+
+const SELL = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+/**
+ * Set both pools' SOL/USDC reserves
+ */
+async function setReserves(byDex) {
+  for (const [dex, reserves] of Object.entries(byDex)) {
+    assert.equal((await request(engine.port, 'POST', '/api/pools/reserves', { body: { dex, reserves } })).status, 200);
+  }
+}
+
+/**
+ * Current SOL/USDC pool of a venue
+ */
+async function pool(dex) {
+  const { pools } = (await request(engine.port, 'GET', '/api/pools')).body;
+  return pools.find((p) => p.dex === dex && p.pair === 'SOL/USDC');
+}
+
+/**
+ * Run a sell order to the end
+ * @returns {Promise<{view: object, amountOut: number}>} Order view and the USDC its fill paid out
+ */
+async function sell(amountIn) {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: { ...SELL, amountIn } })).body;
+  const view = await waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  return { view, amountOut: parseFloat(view.events.find((e) => e.status === 'confirmed').amountOut) };
+}
+
+test('a fill moves the reserves by what went in and came out, so the next fill is worse', async () => {
+  // meteora at $100 SOL never wins a sell
+  await setReserves({ raydium: { SOL: 1000, USDC: 150000 }, meteora: { SOL: 1000, USDC: 100000 } });
+
+  const first = await sell(10);
+  assert.equal(first.view.execution.dex, 'raydium');
+  const moved = await pool('raydium');
+  assert.equal(moved.reserves.SOL, 1010);
+  assert.ok(Math.abs(moved.reserves.USDC - (150000 - first.amountOut)) < 1e-3);
+  // The fee stays in the pool
+  assert.ok(moved.reserves.SOL * moved.reserves.USDC > 1000 * 150000);
+  assert.ok(parseFloat(moved.price) < 150);
+
+  const second = await sell(10);
+  assert.ok(second.amountOut < first.amountOut);
+  const routed = ({ view }) => parseFloat(view.routing.quotes.find((q) => q.dex === 'raydium').price);
+  assert.ok(routed(second) > routed(first));
+});
+
+test('concentrated liquidity prices the same reserves with less impact', async () => {
+  await setReserves({ raydium: { SOL: 1000, USDC: 150000 }, meteora: { SOL: 1000, USDC: 150000 } });
+  const { view } = await sell(5);
+  const impact = Object.fromEntries(view.routing.quotes.map((q) => [q.dex, parseFloat(q.priceImpact)]));
+  assert.ok(impact.meteora < impact.raydium / 5, JSON.stringify(impact));
+});
+
+test('a swap that would push a concentrated pool out of its range is refused', async () => {
+  await setReserves({ raydium: { SOL: 1000, USDC: 150000 }, meteora: { SOL: 10, USDC: 1500 } });
+  const untouched = await pool('meteora');
+  const { view } = await sell(20);
+  assert.equal(view.execution.dex, 'raydium');
+  const excluded = view.routing.excluded.find((e) => e.dex === 'meteora');
+  assert.match(excluded.reason, /cannot fill/);
+  assert.deepEqual((await pool('meteora')).reserves, untouched.reserves);
+});
@@ -0,0 +1,94 @@
+/**
+ * Order queue: admission, QUEUE_FULL rejections and queue settings
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { startEngine, request, waitFor } = require('./helpers');
+
+// One worker and one waiting slot: the third order in a burst is turned away
+process.env.ORDER_CONCURRENCY = '1';
+process.env.ORDER_QUEUE_MAX = '1';
+
+const ORDER = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 10, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+test('a full queue answers 503 QUEUE_FULL, records the order as failed and reserves nothing for it', async () => {
+  const responses = await Promise.all([1, 2, 3].map(() => request(engine.port, 'POST', '/api/orders/execute', { body: ORDER })));
+
+  assert.deepEqual(responses.map((res) => res.status), [200, 200, 503]);
+  assert.equal(responses[2].body.code, 'QUEUE_FULL');
+
+  const account = await request(engine.port, 'GET', '/api/account');
+  assert.equal(account.body.reserved.SOL, 2 * ORDER.amountIn);
+
+  const failed = await request(engine.port, 'GET', '/api/orders?status=failed');
+  assert.equal(failed.body.orders.length, 1);
+  assert.equal(failed.body.orders[0].error.code, 'QUEUE_FULL');
+
+  // The accepted orders still run to the end and give their reservations back
+  const accepted = responses.slice(0, 2).map((res) => res.body.orderId);
+  await waitFor(async () => {
+    const views = await Promise.all(accepted.map((orderId) => request(engine.port, 'GET', `/api/orders/${orderId}`)));
+    return views.every((view) => engine.engine.TERMINAL_STATUSES.has(view.body.status) && view.body.status !== 'confirmed');
+  }, 30000);
+  const settled = await request(engine.port, 'GET', '/api/account');
+  assert.ok(!settled.body.reserved.SOL);
+});
+
+test('the queue accepts new orders once it has drained', async () => {
+  const res = await request(engine.port, 'POST', '/api/orders/execute', { body: ORDER });
+  assert.equal(res.status, 200);
+  await waitFor(async () => (await request(engine.port, 'GET', `/api/orders/${res.body.orderId}`)).body.status === 'finalized', 30000);
+});
+
+const INVALID_SETTINGS = [
+  ['ORDER_CONCURRENCY', 'abc', 'a positive integer'],
+  ['ORDER_CONCURRENCY', '0', 'a positive integer'],
+  ['ORDER_RATE_LIMIT', '-3', 'a positive integer'],
+  ['ORDER_QUEUE_MAX', '2.5', 'a positive integer'],
+  ['ORDER_MAX_VENUES', '0', 'a positive integer'],
+  ['ORDER_BACKOFF_MS', '-100', 'a non-negative integer'],
+  ['ORDER_BACKOFF_MS', '1e400', 'a non-negative integer'],
+  ['ORDER_MAX_REROUTE_DETERIORATION', '1%', 'a non-negative number'],
+  ['ORDER_MAX_REROUTE_DETERIORATION', '-0.01', 'a non-negative number']
+];
+
+for (const [name, value, expected] of INVALID_SETTINGS) {
+  test(`the engine refuses to load with ${name}=${value}`, () => {
+    const child = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..', 'server-standalone.js'))})`], {
+      env: { ...process.env, ORDER_STORE: 'memory', [name]: value },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+    assert.notEqual(child.status, 0);
+    assert.ok(child.stderr.includes(`${name} must be ${expected}, got '${value}'`), child.stderr);
+  });
+}
+
+test('zero is a valid backoff and reroute tolerance', () => {
+  const child = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..', 'server-standalone.js'))})`], {
+    env: { ...process.env, ORDER_STORE: 'memory', ORDER_BACKOFF_MS: '0', ORDER_MAX_REROUTE_DETERIORATION: '0' },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+  assert.equal(child.status, 0, child.stderr);
+});
+
+test('an empty queue setting falls back to its default', () => {
+  const child = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..', 'server-standalone.js'))})`], {
+    env: { ...process.env, ORDER_STORE: 'memory', ORDER_CONCURRENCY: '' },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+  assert.equal(child.status, 0, child.stderr);
+});
@@ -0,0 +1,74 @@
+/**
+ * Routing decision: venues ranked by output net of fees and price impact for the order's size
+ */
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, connectWebSocket, readUntil, waitForOrder } = require('./helpers');
+
+// Same $150 SOL price on both: raydium is deep but charges 0.3%, phoenix is shallow at 0.1%
+const RESERVES = {
+  raydium: { SOL: 1000000, USDC: 150000000 },
+  phoenix: { SOL: 1000, USDC: 150000 }
+};
+process.env.DEX_VENUES = Object.keys(RESERVES).join(',');
+
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+// Fills move the pools; every test starts from the same reserves
+beforeEach(async () => {
+  for (const [dex, reserves] of Object.entries(RESERVES)) {
+    assert.equal((await request(engine.port, 'POST', '/api/pools/reserves', { body: { dex, reserves } })).status, 200);
+  }
+});
+
+after(() => engine.server.close());
+
+/**
+ * Run an order and return the routing event its socket reports
+ */
+async function route(amountIn) {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: { ...MARKET, amountIn } })).body;
+  const ws = await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}`);
+  const routing = (await readUntil(ws, ['routing', 'failed'])).pop();
+  ws.close();
+  const view = await waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  return { routing, view };
+}
+
+test('every quote reports its output after fees, best first', async () => {
+  const { routing } = await route(1);
+  assert.equal(routing.status, 'routing');
+  assert.deepEqual(routing.quotes.map((q) => q.dex).sort(), ['phoenix', 'raydium']);
+  for (const quote of routing.quotes) {
+    const expected = 1 * (1 - quote.fee) / parseFloat(quote.price);
+    assert.ok(Math.abs(parseFloat(quote.amountOut) - expected) / expected < 1e-6, JSON.stringify(quote));
+  }
+  const outputs = routing.quotes.map((q) => parseFloat(q.amountOut));
+  assert.deepEqual(outputs, [...outputs].sort((a, b) => b - a));
+  assert.equal(routing.chosen, routing.quotes[0].dex);
+  assert.equal(routing.amountOut, routing.quotes[0].amountOut);
+});
+
+test('a small order goes to the cheaper fee although the deep pool quotes a better price', async () => {
+  const { routing, view } = await route(0.1);
+  const byDex = Object.fromEntries(routing.quotes.map((q) => [q.dex, q]));
+  assert.ok(parseFloat(byDex.raydium.price) < parseFloat(byDex.phoenix.price));
+  assert.equal(routing.chosen, 'phoenix');
+  assert.equal(view.execution.dex, 'phoenix');
+});
+
+test('a large order goes to the deep pool, where the fee costs less than the price impact', async () => {
+  const { routing, view } = await route(50);
+  const byDex = Object.fromEntries(routing.quotes.map((q) => [q.dex, q]));
+  assert.ok(parseFloat(byDex.phoenix.priceImpact) > 0.01);
+  assert.equal(routing.chosen, 'raydium');
+  assert.equal(view.execution.dex, 'raydium');
+});
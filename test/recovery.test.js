@@ -0,0 +1,107 @@
+/**
+ * Crash recovery: replaying a JSONL order store on boot
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-store-'));
+const storeFile = path.join(dir, 'orders.jsonl');
+
+process.env.ORDER_STORE = 'file';
+process.env.ORDER_STORE_FILE = storeFile;
+process.env.LIMIT_POLL_INTERVAL_MS = '50';
+// One shallow SOL/USDC pool: 300 USDC buys SOL near $150, 100,000 USDC only near $250
+process.env.DEX_VENUES = 'raydium';
+process.env.POOL_RESERVES = JSON.stringify({ 'raydium:SOL/USDC': { SOL: 1000, USDC: 150000 } });
+
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 };
+const LIMIT = { type: 'limit', tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 100000, slippage: 0.05, limitPrice: 200, expiresInMs: 600000 };
+
+/**
+ * Records an earlier run left behind, oldest first
+ */
+function previousRun() {
+  const at = new Date(Date.now() - 5000).toISOString();
+  const expiresAt = new Date(Date.now() + 600000).toISOString();
+  const status = (orderId, status, extra = {}) => ({ type: 'status', orderId, status, ...extra, at });
+  return [
+    // Finished before the crash: its fill is booked into the balances again
+    { type: 'created', orderId: 'done', order: MARKET, at },
+    status('done', 'pending'), status('done', 'routing'), status('done', 'building'),
+    status('done', 'submitted', { txHash: 'tx-done' }), status('done', 'confirmed', { txHash: 'tx-done', executedPrice: '0.00666667', amountOut: '150.000000' }),
+    // Got as far as building, but never sent a transaction
+    { type: 'created', orderId: 'building', order: MARKET, at },
+    status('building', 'pending'), status('building', 'routing'), status('building', 'building'),
+    // Sent a transaction whose outcome is unknown
+    { type: 'created', orderId: 'in-flight', order: MARKET, at },
+    status('in-flight', 'pending'), status('in-flight', 'routing'), status('in-flight', 'building'),
+    status('in-flight', 'submitted', { txHash: 'tx-in-flight', slot: 10, lastValidSlot: 160 }),
+    // Parked limit order, too large to reach its limit price
+    { type: 'created', orderId: 'parked', order: LIMIT, at },
+    status('parked', 'waiting', { limitPrice: LIMIT.limitPrice, expiresAt })
+  ];
+}
+
+let engine;
+
+before(async () => {
+  fs.writeFileSync(storeFile, `${previousRun().map((record) => JSON.stringify(record)).join('\n')}\n{"type":"status","orderId":"tor`);
+  engine = await startEngine();
+});
+
+after(() => {
+  engine.server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('finished orders keep their history and their fill stays booked', async () => {
+  const view = (await request(engine.port, 'GET', '/api/orders/done')).body;
+  assert.equal(view.status, 'confirmed');
+  assert.deepEqual(view.events.map((e) => e.seq), [1, 2, 3, 4, 5]);
+
+  const account = (await request(engine.port, 'GET', '/api/account')).body;
+  assert.equal(account.balances.SOL, 1000 - MARKET.amountIn);
+  assert.equal(account.balances.USDC, 250000 + 150);
+});
+
+test('an order interrupted while building is queued again and completes', async () => {
+  const view = await waitForOrder(engine.port, 'building', ['finalized', 'failed']);
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  assert.equal(view.events.filter((e) => e.status === 'pending').length, 2);
+});
+
+test('an order with a transaction in flight is marked INTERRUPTED with its txHash', async () => {
+  const view = (await request(engine.port, 'GET', '/api/orders/in-flight')).body;
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'INTERRUPTED');
+  assert.equal(view.error.details.lastStatus, 'submitted');
+  assert.equal(view.error.details.txHash, 'tx-in-flight');
+});
+
+test('a re-armed limit order sees amendments made after the restart', async () => {
+  const parked = (await request(engine.port, 'GET', '/api/orders/parked')).body;
+  assert.equal(parked.status, 'waiting');
+  assert.equal(parked.events.length, 2);
+  // Re-armed with the expiry it had, not a fresh one
+  assert.ok(Math.abs(Date.parse(parked.events[1].expiresAt) - Date.parse(parked.events[0].expiresAt)) < 1000);
+
+  // Small enough now that the best quote is below the limit price
+  const amended = await request(engine.port, 'POST', '/api/orders/parked/amend', { body: { amountIn: 300 } });
+  assert.equal(amended.status, 200, JSON.stringify(amended.body));
+
+  const view = await waitForOrder(engine.port, 'parked', ['finalized', 'failed', 'expired']);
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  assert.ok(parseFloat(view.routing.price) <= LIMIT.limitPrice);
+});
+
+test('records appended after a torn line are not glued onto it', () => {
+  const lines = fs.readFileSync(storeFile, 'utf8').split('\n').filter(Boolean).slice(previousRun().length);
+  assert.equal(lines[0], '{"type":"status","orderId":"tor');
+  const records = lines.slice(1).map((line) => JSON.parse(line));
+  assert.ok(records.some((record) => record.orderId === 'building' && record.status === 'finalized'));
+});
@@ -0,0 +1,50 @@
+/**
+ * Order connections: replaying recorded events after lastSeq, then live updates
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, connectWebSocket, readUntil, waitForOrder } = require('./helpers');
+
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+test('a connection opened right after submitting sees every event once, in order', async () => {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: MARKET })).body;
+  const ws = await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}`);
+  assert.equal(ws.status, 101);
+  const messages = await readUntil(ws, ['finalized', 'failed']);
+  ws.close();
+
+  const recorded = messages.filter((m) => m.seq !== undefined);
+  assert.deepEqual(recorded.map((m) => m.seq), recorded.map((m, i) => i + 1));
+  assert.equal(recorded[recorded.length - 1].status, 'finalized');
+});
+
+test('reconnecting with lastSeq replays only the events after it', async () => {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: MARKET })).body;
+  const { events } = await waitForOrder(engine.port, orderId, ['finalized']);
+
+  const all = await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}`);
+  assert.deepEqual(await readUntil(all, ['finalized']), events);
+  all.close();
+
+  const rest = await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}&lastSeq=3`);
+  assert.deepEqual(await readUntil(rest, ['finalized']), events.slice(3));
+  rest.close();
+});
+
+test('connections with a malformed lastSeq or an unknown order are refused', async () => {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: MARKET })).body;
+  assert.equal((await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}&lastSeq=-1`)).status, 400);
+  assert.equal((await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}&lastSeq=abc`)).status, 400);
+  assert.equal((await connectWebSocket(engine.port, '/api/orders/execute?orderId=no-such-order')).status, 404);
+  await waitForOrder(engine.port, orderId, ['finalized']);
+});
@@ -0,0 +1,108 @@
+/**
+ * Failover: re-quoting and rerouting to the next-best venue within the venue and price budget
+ */
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+process.env.DEX_VENUES = 'raydium,orca,phoenix';
+process.env.DEX_QUOTE_TIMEOUT_MS = '100';
+// One attempt per venue and at most two venues per order
+process.env.ORDER_MAX_ATTEMPTS = '1';
+process.env.ORDER_BACKOFF_MS = '0';
+process.env.ORDER_MAX_VENUES = '2';
+
+// Same $150 pools everywhere: phoenix (lowest fee) wins, orca (next lowest) is the fallback
+const POOL = { SOL: 1000, USDC: 150000 };
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+beforeEach(async () => {
+  await request(engine.port, 'DELETE', '/api/admin/faults');
+  for (const dex of ['raydium', 'orca', 'phoenix']) await setPool(dex, POOL);
+});
+
+after(() => engine.server.close());
+
+/**
+ * Set a venue's SOL/USDC reserves
+ */
+async function setPool(dex, reserves) {
+  assert.equal((await request(engine.port, 'POST', '/api/pools/reserves', { body: { dex, reserves } })).status, 200);
+}
+
+/**
+ * Arm a count-based fault
+ */
+async function arm(dex, type, count = 1, params = {}) {
+  const res = await request(engine.port, 'POST', '/api/admin/faults', { body: { dex, type, count, ...params } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+}
+
+/**
+ * Run a market order to the end
+ */
+async function run() {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: MARKET })).body;
+  return waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+}
+
+test('a venue that fails is replaced by the next-best one, with a rerouting event saying why', async () => {
+  await arm('phoenix', 'tx_rejected');
+  const view = await run();
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  assert.equal(view.routing.chosen, 'phoenix');
+  assert.equal(view.execution.dex, 'orca');
+
+  const rerouting = view.events.filter((e) => e.status === 'rerouting');
+  assert.equal(rerouting.length, 1);
+  assert.equal(rerouting[0].from, 'phoenix');
+  assert.equal(rerouting[0].to, 'orca');
+  assert.match(rerouting[0].reason, /rejected/);
+});
+
+test('the order fails with VENUES_EXHAUSTED once ORDER_MAX_VENUES venues have failed', async () => {
+  await arm('*', 'tx_rejected', 2);
+  const view = await run();
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'VENUES_EXHAUSTED');
+  assert.deepEqual(view.error.details.tried, ['phoenix', 'orca']);
+});
+
+test('the order fails with NO_FALLBACK_VENUE when no other venue answers the re-quote', async () => {
+  // raydium and orca miss both the routing quote and the re-quote
+  await arm('raydium', 'quote_timeout', 2, { delayMs: 300 });
+  await arm('orca', 'quote_timeout', 2, { delayMs: 300 });
+  await arm('phoenix', 'tx_rejected');
+  const view = await run();
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'NO_FALLBACK_VENUE');
+  assert.deepEqual(view.error.details.tried, ['phoenix']);
+});
+
+test('the order fails with REROUTE_PRICE_DETERIORATED when the fallback is too much worse', async () => {
+  // SOL at $140 on the fallbacks: about 7% worse than routed, beyond the 1% default
+  await setPool('orca', { SOL: 1000, USDC: 140000 });
+  await setPool('raydium', { SOL: 1000, USDC: 140000 });
+  await arm('phoenix', 'tx_rejected');
+  const view = await run();
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'REROUTE_PRICE_DETERIORATED');
+  assert.equal(view.error.details.alternative, 'orca');
+  assert.ok(parseFloat(view.error.details.deterioration) > 0.01);
+  assert.ok(!view.events.some((e) => e.status === 'rerouting'));
+});
+
+test('a slippage failure is final and never rerouted', async () => {
+  await arm('phoenix', 'extreme_slippage');
+  const view = await run();
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'SLIPPAGE_EXCEEDED');
+  assert.ok(!view.events.some((e) => e.status === 'rerouting'));
+});
@@ -0,0 +1,128 @@
+/**
+ * Pre-trade risk checks, the daily notional limit and balance bookkeeping
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+process.env.DEX_VENUES = 'raydium';
+process.env.ORDER_BACKOFF_MS = '0';
+process.env.RISK_MAX_ORDER_USD = '1000';
+process.env.RISK_DAILY_NOTIONAL_USD = '2000';
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+/**
+ * Submit an order
+ */
+function submit(body) {
+  return request(engine.port, 'POST', '/api/orders/execute', { body });
+}
+
+/**
+ * The default account as GET /api/account reports it
+ */
+async function account() {
+  return (await request(engine.port, 'GET', '/api/account')).body;
+}
+
+test('orders failing a pre-trade check are refused with their code and status', async () => {
+  const cases = [
+    [{ type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: '1', slippage: 0.05 }, 400, 'INVALID_AMOUNT'],
+    [{ type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: -1, slippage: 0.05 }, 400, 'INVALID_AMOUNT'],
+    [{ type: 'market', tokenIn: 'SOL', tokenOut: 'SOL', amountIn: 1, slippage: 0.05 }, 400, 'SAME_TOKEN'],
+    [{ type: 'market', tokenIn: 'SOL', tokenOut: 'NOPE', amountIn: 1, slippage: 0.05 }, 400, 'UNKNOWN_TOKEN'],
+    [{ type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 0.001, slippage: 0.05 }, 422, 'ORDER_TOO_SMALL'],
+    [{ type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 7, slippage: 0.05 }, 422, 'ORDER_TOO_LARGE']
+  ];
+  for (const [body, status, code] of cases) {
+    const res = await submit(body);
+    assert.equal(res.status, status, JSON.stringify(body));
+    assert.equal(res.body.code, code, JSON.stringify(res.body));
+  }
+
+  // JSON has no Infinity, but an overflowing literal parses to it
+  const infinite = await request(engine.port, 'POST', '/api/orders/execute', { body: '{"type":"market","tokenIn":"SOL","tokenOut":"USDC","amountIn":1e400,"slippage":0.05}' });
+  assert.equal(infinite.status, 400);
+  assert.equal(infinite.body.code, 'INVALID_AMOUNT');
+
+  const small = await submit({ type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 0.001, slippage: 0.05 });
+  assert.equal(small.body.details.minOrderUsd, 1);
+  assert.ok(Math.abs(small.body.details.notionalUsd - 0.15) < 1e-9);
+  // A sniper target only has to look like a symbol
+  assert.equal((await submit({ type: 'sniper', tokenIn: 'SOL', tokenOut: 'NOT-A-TOKEN', amountIn: 1 })).body.code, 'UNKNOWN_TOKEN');
+});
+
+test('an order needs the balance its open orders have not reserved', async () => {
+  assert.equal((await request(engine.port, 'POST', '/api/admin/balances', { body: { balances: { JUP: 100 } } })).status, 200);
+  const limit = { type: 'limit', tokenIn: 'JUP', tokenOut: 'USDC', amountIn: 60, slippage: 0.05, limitPrice: 0.01 };
+  const { orderId } = (await submit(limit)).body;
+  await waitForOrder(engine.port, orderId, ['waiting']);
+  const held = await account();
+  assert.equal(held.reserved.JUP, 60);
+  assert.equal(held.available.JUP, 40);
+
+  const refused = await submit({ ...limit, amountIn: 50 });
+  assert.equal(refused.status, 422);
+  assert.equal(refused.body.code, 'INSUFFICIENT_BALANCE');
+  assert.deepEqual(refused.body.details, { token: 'JUP', available: 40, required: 50 });
+
+  assert.equal((await request(engine.port, 'POST', `/api/orders/${orderId}/cancel`)).status, 200);
+  await waitForOrder(engine.port, orderId, ['cancelled']);
+  const released = await account();
+  assert.equal(released.reserved.JUP, 0);
+  assert.equal(released.available.JUP, 100);
+});
+
+test('a fill debits the tokenIn spent and credits the tokenOut received', async () => {
+  const before = await account();
+  const { orderId } = (await submit({ type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 })).body;
+  const view = await waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+
+  const received = parseFloat(view.events.find((e) => e.status === 'confirmed').amountOut);
+  const after = await account();
+  assert.ok(Math.abs(after.balances.SOL - (before.balances.SOL - 1)) < 1e-9);
+  assert.ok(Math.abs(after.balances.USDC - (before.balances.USDC + received)) < 1e-6);
+  assert.equal(after.reserved.SOL, 0);
+});
+
+test('the daily notional counts open and filled orders, and amendments, but not cancelled ones', async () => {
+  const used = (await account()).dailyNotionalUsd;
+  // $150 filled in the previous test; the cancelled JUP order counts nothing
+  assert.ok(Math.abs(used - 150) < 1e-6, String(used));
+
+  // $900 open on top
+  const limit = { type: 'limit', tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 900, slippage: 0.05, limitPrice: 1 };
+  const { orderId } = (await submit(limit)).body;
+  await waitForOrder(engine.port, orderId, ['waiting']);
+  assert.ok(Math.abs((await account()).dailyNotionalUsd - 1050) < 1e-6);
+
+  const refused = await submit({ ...limit, amountIn: 1000 });
+  assert.equal(refused.status, 422);
+  assert.equal(refused.body.code, 'DAILY_NOTIONAL_EXCEEDED');
+  assert.ok(Math.abs(refused.body.details.usedUsd - 1050) < 1e-6);
+  assert.equal(refused.body.details.dailyNotionalUsd, 2000);
+
+  // Amending counts only the difference: 900 → 1000 fits, and the total follows it
+  const amended = await request(engine.port, 'POST', `/api/orders/${orderId}/amend`, { body: { amountIn: 1000 } });
+  assert.equal(amended.status, 200, JSON.stringify(amended.body));
+  assert.ok(Math.abs((await account()).dailyNotionalUsd - 1150) < 1e-6);
+
+  const tooMuch = await submit({ ...limit, amountIn: 900 });
+  assert.equal(tooMuch.body.code, 'DAILY_NOTIONAL_EXCEEDED');
+
+  assert.equal((await request(engine.port, 'POST', `/api/orders/${orderId}/cancel`)).status, 200);
+  await waitForOrder(engine.port, orderId, ['cancelled']);
+  assert.ok(Math.abs((await account()).dailyNotionalUsd - 150) < 1e-6);
+  const again = await submit({ ...limit, amountIn: 900 });
+  assert.equal(again.status, 200, JSON.stringify(again.body));
+  await request(engine.port, 'POST', `/api/orders/${again.body.orderId}/cancel`);
+});
@@ -0,0 +1,126 @@
+/**
+ * Deterministic simulation: seeded runs reproduce their fills, and the
+ * virtual clock keeps parked orders open until something moves it on
+ *
+ * The seeded runs are separate processes running this file with SEEDED_RUN
+ * set: they submit the same orders and print what was filled.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const { startEngine, request, waitForOrder, waitFor } = require('./helpers');
+
+process.env.SIM_CLOCK = 'virtual';
+
+const ORDERS = [
+  { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 },
+  { type: 'market', tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 500, slippage: 0.05 },
+  { type: 'market', tokenIn: 'SOL', tokenOut: 'BONK', amountIn: 2, slippage: 0.05 }
+];
+
+/**
+ * Submit ORDERS one after the other and print each order's id and fill as JSON
+ */
+async function seededRun() {
+  const engine = await startEngine();
+  const fills = [];
+  for (const body of ORDERS) {
+    const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body })).body;
+    const view = await waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+    fills.push({ orderId, status: view.status, venue: view.execution?.dex, executedPrice: view.execution?.executedPrice, txHash: view.execution?.txHash });
+  }
+  process.stdout.write(JSON.stringify(fills));
+  process.exit(0);
+}
+
+/**
+ * Run the order sequence in a fresh engine process
+ * @param {string} seed - SIM_SEED of the run
+ * @returns {object[]} Fills printed by the run
+ */
+function runSeeded(seed) {
+  const child = spawnSync(process.execPath, [__filename], {
+    env: { ...process.env, SEEDED_RUN: '1', SIM_SEED: seed },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+  assert.equal(child.status, 0, child.stderr);
+  return JSON.parse(child.stdout);
+}
+
+if (process.env.SEEDED_RUN) {
+  seededRun();
+} else {
+  let engine;
+
+  before(async () => {
+    engine = await startEngine();
+  });
+
+  after(() => engine.server.close());
+
+  test('two runs with the same seed fill every order on the same venue, at the same price, with the same txHash', () => {
+    const first = runSeeded('reproducible');
+    const second = runSeeded('reproducible');
+    assert.equal(first.length, ORDERS.length);
+    assert.ok(first.every((fill) => fill.status === 'finalized'), JSON.stringify(first));
+
+    const fill = ({ venue, executedPrice, txHash }) => ({ venue, executedPrice, txHash });
+    assert.deepEqual(second.map(fill), first.map(fill));
+    // Order ids carry a per-boot tag, so the runs never share one
+    assert.ok(first.every((f, i) => f.orderId !== second[i].orderId));
+
+    const other = runSeeded('another seed');
+    assert.notDeepEqual(other.map(fill), first.map(fill));
+  });
+
+  test('a parked sniper order stays armed on the virtual clock until its pool launches', async () => {
+    const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: { type: 'sniper', tokenIn: 'SOL', tokenOut: 'VIRTA', amountIn: 1, expiresInMs: 100 } })).body;
+    await waitForOrder(engine.port, orderId, ['waiting']);
+    // A market order runs longer than the sniper's expiry in virtual time, so the expiry fires on the way
+    const market = (await request(engine.port, 'POST', '/api/orders/execute', { body: ORDERS[0] })).body.orderId;
+    await waitForOrder(engine.port, market, ['finalized']);
+    assert.equal((await request(engine.port, 'GET', `/api/orders/${orderId}`)).body.status, 'expired');
+
+    const armed = (await request(engine.port, 'POST', '/api/orders/execute', { body: { type: 'sniper', tokenIn: 'SOL', tokenOut: 'VIRTB', amountIn: 1, expiresInMs: 1000 } })).body.orderId;
+    await waitForOrder(engine.port, armed, ['waiting']);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal((await request(engine.port, 'GET', `/api/orders/${armed}`)).body.status, 'waiting');
+
+    assert.equal((await request(engine.port, 'POST', '/api/pools', { body: { token: 'VIRTB', dex: 'raydium' } })).status, 201);
+    const view = await waitForOrder(engine.port, armed, ['finalized', 'failed', 'expired']);
+    assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  });
+
+  test('a parked limit order is polled and expires only as the clock is advanced', async () => {
+    const body = { type: 'limit', tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 300, slippage: 0.05, limitPrice: 100, expiresInMs: 60000 };
+    const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body })).body;
+    await waitForOrder(engine.port, orderId, ['waiting']);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal((await request(engine.port, 'GET', `/api/orders/${orderId}`)).body.status, 'waiting');
+
+    // Expiry is seen by the first poll after it
+    const advanced = await request(engine.port, 'POST', '/api/admin/clock/advance', { body: { ms: 65000 } });
+    assert.equal(advanced.status, 200);
+    assert.ok(Date.parse(advanced.body.now) >= Date.parse((await request(engine.port, 'GET', `/api/orders/${orderId}`)).body.createdAt) + 65000);
+    await waitFor(async () => (await request(engine.port, 'GET', `/api/orders/${orderId}`)).body.status === 'expired');
+  });
+
+  test('a limit order whose price is crossed triggers on the next advance', async () => {
+    const body = { type: 'limit', tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 300, slippage: 0.05, limitPrice: 200 };
+    const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body })).body;
+    await waitForOrder(engine.port, orderId, ['waiting']);
+    assert.equal((await request(engine.port, 'POST', '/api/admin/clock/advance', { body: { ms: 2000 } })).status, 200);
+    const view = await waitForOrder(engine.port, orderId, ['finalized', 'failed', 'expired']);
+    assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  });
+
+  test('advancing needs a positive number of milliseconds', async () => {
+    for (const ms of [undefined, 0, -5, '100']) {
+      const res = await request(engine.port, 'POST', '/api/admin/clock/advance', { body: { ms } });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_ADVANCE');
+    }
+  });
+}
@@ -0,0 +1,63 @@
+/**
+ * Slippage tolerance: swaps carry a minimum output and revert below it
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+// One venue with known reserves, so the pool can be checked after every swap
+process.env.DEX_VENUES = 'raydium';
+const RESERVES = { SOL: 10000, USDC: 1500000 };
+
+const ORDER = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 10, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+/**
+ * @returns {Promise<object>} Current reserves of the raydium SOL/USDC pool
+ */
+async function reserves() {
+  const { body } = await request(engine.port, 'GET', '/api/pools');
+  return body.pools.find((pool) => pool.pair === 'SOL/USDC').reserves;
+}
+
+test('a swap that would fill beyond the tolerance reverts without moving the pool', async () => {
+  assert.equal((await request(engine.port, 'POST', '/api/pools/reserves', { body: { dex: 'raydium', reserves: RESERVES } })).status, 200);
+  assert.equal((await request(engine.port, 'POST', '/api/admin/faults', { body: { dex: 'raydium', type: 'extreme_slippage', count: 1 } })).status, 201);
+
+  const res = await request(engine.port, 'POST', '/api/orders/execute', { body: ORDER });
+  const view = await waitForOrder(engine.port, res.body.orderId, ['failed', 'confirmed', 'finalized']);
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'SLIPPAGE_EXCEEDED');
+  assert.equal(view.error.details.reverted, true);
+  assert.equal(view.error.details.tolerance, ORDER.slippage);
+  assert.ok(parseFloat(view.error.details.slippage) > ORDER.slippage);
+  assert.ok(parseFloat(view.error.details.amountOut) < parseFloat(view.error.details.minAmountOut));
+  assert.ok(Math.abs(parseFloat(view.error.details.minAmountOut) - parseFloat(view.routing.amountOut) * (1 - ORDER.slippage)) < 1e-3);
+
+  // The transaction was sent but never processed, and the pool is untouched
+  const statuses = view.events.map((e) => e.status);
+  assert.ok(statuses.includes('submitted'));
+  assert.ok(!statuses.includes('processed'));
+  assert.deepEqual(await reserves(), RESERVES);
+  assert.ok(!(await request(engine.port, 'GET', '/api/account')).body.reserved.SOL);
+});
+
+test('a swap within the tolerance fills and moves the pool', async () => {
+  const res = await request(engine.port, 'POST', '/api/orders/execute', { body: ORDER });
+  const view = await waitForOrder(engine.port, res.body.orderId, ['failed', 'confirmed', 'finalized']);
+  assert.notEqual(view.status, 'failed', JSON.stringify(view.error));
+  assert.ok(parseFloat(view.execution.slippage) <= ORDER.slippage);
+
+  const after = await reserves();
+  assert.equal(after.SOL, RESERVES.SOL + ORDER.amountIn);
+  const confirmed = view.events.find((e) => e.status === 'confirmed');
+  assert.ok(Math.abs(RESERVES.USDC - after.USDC - parseFloat(confirmed.amountOut)) < 1e-3);
+});
@@ -0,0 +1,52 @@
+/**
+ * Sniper orders: arming, firing on a pool launch, and expiry
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+const SNIPE = { type: 'sniper', tokenIn: 'SOL', amountIn: 2 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+test('a sniper order waits for its token and fires when POST /api/pools launches it', async () => {
+  const res = await request(engine.port, 'POST', '/api/orders/execute', { body: { ...SNIPE, tokenOut: 'MOONA' } });
+  assert.equal(res.status, 200);
+  const armed = await waitForOrder(engine.port, res.body.orderId, ['waiting']);
+  assert.equal(armed.events[0].token, 'MOONA');
+
+  const launch = await request(engine.port, 'POST', '/api/pools', { body: { token: 'MOONA', dex: 'meteora' } });
+  assert.equal(launch.status, 201);
+  assert.equal(launch.body.token, 'MOONA');
+
+  const view = await waitForOrder(engine.port, res.body.orderId, ['finalized', 'failed']);
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  // Only the launched venue has a MOONA pool; the wide default tolerance applies
+  assert.equal(view.execution.dex, 'meteora');
+  assert.deepEqual(view.routing.quotes.map((q) => q.dex), ['meteora']);
+  assert.equal(view.order.slippage, undefined);
+
+  // A second launch of the same pool is refused, and the token is now tradable
+  assert.equal((await request(engine.port, 'POST', '/api/pools', { body: { token: 'MOONA', dex: 'meteora' } })).status, 409);
+  const late = await request(engine.port, 'POST', '/api/orders/execute', { body: { ...SNIPE, tokenOut: 'MOONA' } });
+  assert.equal(late.status, 400);
+  assert.match(late.body.error, /already has a pool/);
+});
+
+test('launching a different token leaves a sniper order armed until it expires', async () => {
+  const res = await request(engine.port, 'POST', '/api/orders/execute', { body: { ...SNIPE, tokenOut: 'MOONB', expiresInMs: 300 } });
+  assert.equal(res.status, 200);
+  assert.equal((await request(engine.port, 'POST', '/api/pools', { body: { token: 'MOONC' } })).status, 201);
+
+  const view = await waitForOrder(engine.port, res.body.orderId, ['expired', 'pending']);
+  assert.equal(view.status, 'expired');
+  assert.deepEqual(view.events.map((e) => e.status), ['waiting', 'expired']);
+  assert.ok(!(await request(engine.port, 'GET', '/api/account')).body.reserved.SOL);
+});
@@ -0,0 +1,90 @@
+/**
+ * Split routing: one swap per leg, and the outcome once every leg has settled
+ */
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+// Two equally shallow pools, so a large order fills best spread over both
+const RESERVES = {
+  raydium: { SOL: 1000, USDC: 150000 },
+  phoenix: { SOL: 1000, USDC: 150000 }
+};
+process.env.DEX_VENUES = Object.keys(RESERVES).join(',');
+// A rejected leg fails at once: no retry, no other venue
+process.env.ORDER_MAX_ATTEMPTS = '1';
+process.env.ORDER_MAX_VENUES = '1';
+
+const SPLIT = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 40, slippage: 0.05, split: true };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+beforeEach(async () => {
+  for (const [dex, reserves] of Object.entries(RESERVES)) {
+    assert.equal((await request(engine.port, 'POST', '/api/pools/reserves', { body: { dex, reserves } })).status, 200);
+  }
+});
+
+after(() => engine.server.close());
+
+/**
+ * Submit the split order and wait for it to settle
+ */
+async function runSplit(settled) {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: SPLIT })).body;
+  return waitForOrder(engine.port, orderId, settled);
+}
+
+/**
+ * Reject the next transaction built on a venue
+ */
+async function rejectNext(dex, count = 1) {
+  const res = await request(engine.port, 'POST', '/api/admin/faults', { body: { dex, type: 'tx_rejected', count } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+}
+
+test('each leg is its own swap and the order confirms once all of them fill', async () => {
+  const view = await runSplit(['finalized', 'partially_filled', 'failed']);
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+
+  const { legs } = view.routing;
+  assert.deepEqual(legs.map((leg) => leg.dex).sort(), ['phoenix', 'raydium']);
+  assert.ok(Math.abs(legs.reduce((sum, leg) => sum + leg.share, 0) - 1) < 1e-9);
+
+  const submitted = view.events.filter((e) => e.status === 'submitted');
+  assert.deepEqual(submitted.map((e) => e.leg).sort(), [1, 2]);
+  const confirmed = view.events.find((e) => e.status === 'confirmed');
+  assert.equal(confirmed.txHashes.length, 2);
+  assert.notEqual(confirmed.txHashes[0], confirmed.txHashes[1]);
+  assert.deepEqual([...confirmed.txHashes].sort(), submitted.map((e) => e.txHash).sort());
+  assert.ok(confirmed.legs.every((leg) => leg.filled));
+});
+
+test('an order whose legs partly fail ends partially_filled with the unfilled amount', async () => {
+  await rejectNext('raydium');
+  const view = await runSplit(['finalized', 'partially_filled', 'failed']);
+  assert.equal(view.status, 'partially_filled', JSON.stringify(view.error));
+
+  const event = view.events.find((e) => e.status === 'partially_filled');
+  const failed = event.legs.find((leg) => !leg.filled);
+  assert.equal(failed.dex, 'raydium');
+  assert.match(failed.error, /rejected/);
+  assert.deepEqual(event.txHashes, [event.legs.find((leg) => leg.filled).txHash]);
+  assert.equal(event.filledAmountIn + event.unfilledAmountIn, SPLIT.amountIn);
+  assert.equal(event.unfilledAmountIn, failed.amountIn);
+  assert.equal(view.execution.unfilledAmountIn, failed.amountIn);
+});
+
+test('an order fails with ALL_LEGS_FAILED when no leg fills', async () => {
+  await rejectNext('*', 2);
+  const view = await runSplit(['finalized', 'partially_filled', 'failed']);
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'ALL_LEGS_FAILED');
+  assert.equal(view.error.details.legs.length, 2);
+  assert.ok(view.error.details.legs.every((leg) => !leg.filled));
+});
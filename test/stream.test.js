@@ -0,0 +1,61 @@
+/**
+ * Fan-out: several connections per order, and the account-wide stream with its pair filter
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, connectWebSocket, readUntil } = require('./helpers');
+
+const SELL = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 };
+const BUY = { type: 'market', tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 150, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+test('every connection to an order gets its events, and one closing leaves the others', async () => {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: SELL })).body;
+  const first = await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}`);
+  const second = await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}`);
+  const third = await connectWebSocket(engine.port, `/api/orders/execute?orderId=${orderId}`);
+  await first.next();
+  first.close();
+
+  const a = await readUntil(second, ['finalized', 'failed']);
+  const b = await readUntil(third, ['finalized', 'failed']);
+  second.close();
+  third.close();
+  assert.equal(a[a.length - 1].status, 'finalized');
+  assert.deepEqual(b, a);
+});
+
+test('the stream carries every order, tagged with its pair, unless filtered', async () => {
+  const all = await connectWebSocket(engine.port, '/api/orders/stream');
+  const buys = await connectWebSocket(engine.port, '/api/orders/stream?pair=USDC/SOL');
+  const sells = await connectWebSocket(engine.port, '/api/orders/stream?tokenIn=SOL');
+  assert.equal(all.status, 101);
+
+  // One after the other, so each order's events form one run on the unfiltered stream
+  const sell = (await request(engine.port, 'POST', '/api/orders/execute', { body: SELL })).body.orderId;
+  const sellEvents = await readUntil(all, ['finalized']);
+  const buy = (await request(engine.port, 'POST', '/api/orders/execute', { body: BUY })).body.orderId;
+  const buyEvents = await readUntil(all, ['finalized']);
+  all.close();
+
+  assert.ok(sellEvents.every((m) => m.orderId === sell && m.tokenIn === 'SOL' && m.tokenOut === 'USDC'));
+  assert.ok(buyEvents.every((m) => m.orderId === buy && m.tokenIn === 'USDC' && m.tokenOut === 'SOL'));
+
+  // Filtered streams skip the other order entirely
+  assert.deepEqual(await readUntil(buys, ['finalized']), buyEvents);
+  assert.deepEqual(await readUntil(sells, ['finalized']), sellEvents);
+  buys.close();
+  sells.close();
+});
+
+test('a malformed pair filter is refused', async () => {
+  assert.equal((await connectWebSocket(engine.port, '/api/orders/stream?pair=SOL')).status, 400);
+});
@@ -0,0 +1,57 @@
+/**
+ * Venue registry: quotes fan out to every venue and slow venues are excluded
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEngine, request, waitForOrder } = require('./helpers');
+
+process.env.DEX_VENUES = 'raydium,orca,phoenix';
+process.env.DEX_QUOTE_TIMEOUT_MS = '100';
+
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 };
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+/**
+ * Arm a quote_timeout fault that hangs quotes past DEX_QUOTE_TIMEOUT_MS
+ */
+async function hangQuotes(dex, count) {
+  const res = await request(engine.port, 'POST', '/api/admin/faults', { body: { dex, type: 'quote_timeout', count, delayMs: 300 } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+}
+
+test('every configured venue is asked for a quote', async () => {
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: MARKET })).body;
+  const view = await waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  assert.deepEqual(view.routing.quotes.map((q) => q.dex).sort(), ['orca', 'phoenix', 'raydium']);
+  assert.deepEqual(view.routing.excluded, []);
+});
+
+test('a venue that does not quote in time is excluded and the order routes on the rest', async () => {
+  await hangQuotes('orca', 1);
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: MARKET })).body;
+  const view = await waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  assert.deepEqual(view.routing.quotes.map((q) => q.dex).sort(), ['phoenix', 'raydium']);
+  assert.equal(view.routing.excluded.length, 1);
+  assert.equal(view.routing.excluded[0].dex, 'orca');
+  assert.match(view.routing.excluded[0].reason, /timed out/);
+  assert.notEqual(view.execution.dex, 'orca');
+});
+
+test('an order fails with NO_QUOTES when every venue times out', async () => {
+  await hangQuotes('*', 3);
+  const { orderId } = (await request(engine.port, 'POST', '/api/orders/execute', { body: MARKET })).body;
+  const view = await waitForOrder(engine.port, orderId, ['finalized', 'failed']);
+  assert.equal(view.status, 'failed');
+  assert.equal(view.error.code, 'NO_QUOTES');
+  assert.deepEqual(view.error.details.excluded.map((e) => e.dex).sort(), ['orca', 'phoenix', 'raydium']);
+});
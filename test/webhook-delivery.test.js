@@ -0,0 +1,166 @@
+/**
+ * Webhook delivery to a real receiver: signatures, retries with backoff,
+ * dead letters and retrying them by hand
+ */
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { startEngine, request, waitFor, waitForOrder } = require('./helpers');
+
+const SECRET = 'callback-secret-for-tests';
+const SUBSCRIPTION_SECRET = 'subscription-secret-for-tests';
+
+// The receiver listens on 127.0.0.1
+process.env.WEBHOOK_ALLOW_PRIVATE = '1';
+process.env.WEBHOOK_SECRET = SECRET;
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_BACKOFF_MS = '50';
+process.env.DEX_VENUES = 'raydium';
+
+const MARKET = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 };
+
+let engine;
+let receiver;
+let receiverUrl;
+/** Requests the receiver got: {path, headers, body, at} */
+let received = [];
+/** Status the receiver answers for a request */
+let answer = () => 200;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const entry = { path: req.url, headers: req.headers, body, at: Date.now() };
+      received.push(entry);
+      res.writeHead(answer(entry));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  engine = await startEngine();
+});
+
+beforeEach(() => {
+  received = [];
+  answer = () => 200;
+});
+
+after(() => {
+  engine.server.close();
+  receiver.close();
+});
+
+/**
+ * Subscribe the receiver to confirmed updates under a path of its own
+ */
+async function subscribe(path) {
+  const res = await request(engine.port, 'POST', '/api/admin/webhooks', { body: { url: `${receiverUrl}${path}`, secret: SUBSCRIPTION_SECRET, statuses: ['confirmed'] } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+}
+
+/**
+ * Run a market order to the end
+ */
+async function run(extra = {}) {
+  const res = await request(engine.port, 'POST', '/api/orders/execute', { body: { ...MARKET, ...extra } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const view = await waitForOrder(engine.port, res.body.orderId, ['finalized', 'failed']);
+  assert.equal(view.status, 'finalized', JSON.stringify(view.error));
+  return view;
+}
+
+test('every recorded status reaches the callbackUrl, signed over timestamp + body', async () => {
+  const view = await run({ callbackUrl: `${receiverUrl}/callback` });
+  await waitFor(() => received.length === view.events.length);
+
+  const bodies = received.map((entry) => JSON.parse(entry.body)).sort((a, b) => a.seq - b.seq);
+  assert.deepEqual(bodies.map((b) => b.status), view.events.map((e) => e.status));
+  assert.ok(bodies.every((b) => b.orderId === view.orderId && b.tokenIn === 'SOL' && b.tokenOut === 'USDC'));
+
+  for (const entry of received) {
+    assert.equal(entry.path, '/callback');
+    assert.equal(entry.headers['content-type'], 'application/json');
+    assert.equal(entry.headers['x-webhook-attempt'], '1');
+    assert.match(entry.headers['x-webhook-id'], /^\d+$/);
+    const expected = crypto.createHmac('sha256', SECRET).update(`${entry.headers['x-timestamp']}${entry.body}`).digest('hex');
+    assert.equal(entry.headers['x-signature'], expected);
+    assert.ok(Math.abs(Number(entry.headers['x-timestamp']) - entry.at) < 5000);
+  }
+
+  const { deliveries } = (await request(engine.port, 'GET', `/api/orders/${view.orderId}/webhooks`)).body;
+  assert.equal(deliveries.length, view.events.length);
+  assert.ok(deliveries.every((d) => d.state === 'delivered' && d.attempts === 1 && d.responseStatus === 200));
+});
+
+test('a non-2xx answer is retried with doubling backoff, re-signed every attempt', async () => {
+  const subscription = await subscribe('/flaky');
+  answer = (entry) => (entry.headers['x-webhook-attempt'] === '3' ? 204 : 500);
+  await run();
+  await waitFor(() => received.some((entry) => entry.headers['x-webhook-attempt'] === '3'));
+
+  assert.deepEqual(received.map((entry) => entry.headers['x-webhook-attempt']), ['1', '2', '3']);
+  assert.equal(new Set(received.map((entry) => entry.headers['x-webhook-id'])).size, 1);
+  // 50ms before the second attempt, 100ms before the third
+  assert.ok(received[1].at - received[0].at >= 45, String(received[1].at - received[0].at));
+  assert.ok(received[2].at - received[1].at >= 95, String(received[2].at - received[1].at));
+  for (const entry of received) {
+    const expected = crypto.createHmac('sha256', SUBSCRIPTION_SECRET).update(`${entry.headers['x-timestamp']}${entry.body}`).digest('hex');
+    assert.equal(entry.headers['x-signature'], expected);
+  }
+
+  await waitFor(async () => {
+    const { deliveries } = (await request(engine.port, 'GET', `/api/admin/webhooks/deliveries?subscription=${subscription.id}`)).body;
+    return deliveries[0]?.state === 'delivered';
+  });
+  const [delivery] = (await request(engine.port, 'GET', `/api/admin/webhooks/deliveries?subscription=${subscription.id}`)).body.deliveries;
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.responseStatus, 204);
+  assert.equal(delivery.lastError, null);
+  await request(engine.port, 'DELETE', `/api/admin/webhooks/${subscription.id}`);
+});
+
+test('a delivery failing WEBHOOK_MAX_ATTEMPTS times is dead-lettered, and a retry sends it again', async () => {
+  const subscription = await subscribe('/down');
+  answer = () => 503;
+  const view = await run();
+
+  let deadLetter;
+  await waitFor(async () => {
+    const { deadLetters } = (await request(engine.port, 'GET', '/api/admin/webhooks/dead-letters')).body;
+    deadLetter = deadLetters.find((d) => d.subscription === subscription.id);
+    return deadLetter !== undefined;
+  });
+  assert.equal(received.length, 3);
+  assert.equal(deadLetter.state, 'dead_letter');
+  assert.equal(deadLetter.attempts, 3);
+  assert.equal(deadLetter.responseStatus, 503);
+  assert.match(deadLetter.lastError, /503/);
+  assert.equal(deadLetter.payload.orderId, view.orderId);
+  assert.equal(deadLetter.payload.status, 'confirmed');
+
+  answer = () => 200;
+  received = [];
+  const retried = await request(engine.port, 'POST', `/api/admin/webhooks/dead-letters/${deadLetter.id}/retry`);
+  assert.equal(retried.status, 202);
+  assert.equal(retried.body.state, 'pending');
+  await waitFor(() => received.length === 1);
+  // Same delivery with a fresh set of attempts
+  assert.equal(received[0].headers['x-webhook-id'], deadLetter.id);
+  assert.equal(received[0].headers['x-webhook-attempt'], '1');
+  assert.deepEqual(JSON.parse(received[0].body), deadLetter.payload);
+
+  await waitFor(async () => {
+    const { deliveries } = (await request(engine.port, 'GET', `/api/admin/webhooks/deliveries?subscription=${subscription.id}`)).body;
+    return deliveries[0]?.state === 'delivered';
+  });
+  const { deadLetters } = (await request(engine.port, 'GET', '/api/admin/webhooks/dead-letters')).body;
+  assert.ok(!deadLetters.some((d) => d.id === deadLetter.id));
+  assert.equal((await request(engine.port, 'POST', `/api/admin/webhooks/dead-letters/${deadLetter.id}/retry`)).status, 404);
+  await request(engine.port, 'DELETE', `/api/admin/webhooks/${subscription.id}`);
+});
@@ -0,0 +1,105 @@
+/**
+ * Webhooks: subscriptions, callback validation and the admin routes
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { startEngine, request, signedHeaders, waitFor } = require('./helpers');
+
+const OPS = { key: 'ops-key-456', name: 'ops', admin: true, secret: 's3cret-for-tests' };
+const ALICE = { key: 'alice-key-123', name: 'alice' };
+
+process.env.API_KEYS = JSON.stringify([OPS, ALICE]);
+// Callbacks are refused without a secret; global subscriptions bring their own
+delete process.env.WEBHOOK_SECRET;
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+process.env.DEX_VENUES = 'raydium';
+
+let engine;
+
+before(async () => {
+  engine = await startEngine();
+});
+
+after(() => engine.server.close());
+
+test('retrying a dead letter checks the request signature although it has no body', async () => {
+  const target = '/api/admin/webhooks/dead-letters/1/retry';
+  const forged = await request(engine.port, 'POST', target, { headers: signedHeaders({ ...OPS, secret: 'not-the-secret' }, 'POST', target) });
+  assert.equal(forged.status, 401);
+  assert.equal(forged.body.code, 'INVALID_SIGNATURE');
+
+  const signed = await request(engine.port, 'POST', target, { headers: signedHeaders(OPS, 'POST', target) });
+  assert.equal(signed.status, 404);
+  assert.equal(signed.body.code, 'DEAD_LETTER_NOT_FOUND');
+});
+
+test('orders with a callbackUrl are refused while WEBHOOK_SECRET is unset', async () => {
+  const body = JSON.stringify({ type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05, callbackUrl: 'https://hooks.example.com/orders' });
+  const res = await request(engine.port, 'POST', '/api/orders/execute', { body, headers: signedHeaders(OPS, 'POST', '/api/orders/execute', body) });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /WEBHOOK_SECRET/);
+});
+
+test('webhooks may not target loopback, private or link-local hosts', async () => {
+  for (const target of ['http://127.0.0.1:3002/', 'http://localhost/', 'http://2130706433/', 'http://10.1.2.3/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[::7f00:1]/', 'http://[fd00::1]/']) {
+    const body = JSON.stringify({ url: target });
+    const res = await request(engine.port, 'POST', '/api/admin/webhooks', { body, headers: signedHeaders(OPS, 'POST', '/api/admin/webhooks', body) });
+    assert.equal(res.status, 400, target);
+    assert.equal(res.body.code, 'INVALID_WEBHOOK');
+  }
+
+  const body = JSON.stringify({ url: 'https://hooks.example.com/orders' });
+  const res = await request(engine.port, 'POST', '/api/admin/webhooks', { body, headers: signedHeaders(OPS, 'POST', '/api/admin/webhooks', body) });
+  assert.equal(res.status, 201);
+});
+
+test('a public name that resolves to a private address fails the delivery when it connects', async (t) => {
+  const lookup = dns.lookup;
+  dns.lookup = (hostname, options, callback) => lookup(hostname === 'hooks.internal.test' ? '127.0.0.1' : hostname, options, callback);
+  t.after(() => { dns.lookup = lookup; });
+
+  const body = JSON.stringify({ url: 'http://hooks.internal.test/orders', statuses: ['pending'] });
+  const subscribed = await request(engine.port, 'POST', '/api/admin/webhooks', { body, headers: signedHeaders(OPS, 'POST', '/api/admin/webhooks', body) });
+  assert.equal(subscribed.status, 201);
+
+  const order = await request(engine.port, 'POST', '/api/orders/execute', {
+    body: { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1, slippage: 0.05 },
+    headers: { 'X-API-Key': ALICE.key }
+  });
+  assert.equal(order.status, 200, JSON.stringify(order.body));
+
+  let deadLetter;
+  await waitFor(async () => {
+    const { deadLetters } = (await request(engine.port, 'GET', '/api/admin/webhooks/dead-letters', { headers: signedHeaders(OPS, 'GET', '/api/admin/webhooks/dead-letters') })).body;
+    deadLetter = deadLetters.find((d) => d.subscription === subscribed.body.id);
+    return deadLetter !== undefined;
+  });
+  assert.equal(deadLetter.payload.orderId, order.body.orderId);
+  assert.equal(deadLetter.responseStatus, null);
+  assert.match(deadLetter.lastError, /hooks\.internal\.test resolves to 127\.0\.0\.1, which webhooks may not reach/);
+
+  const target = `/api/admin/webhooks/${subscribed.body.id}`;
+  assert.equal((await request(engine.port, 'DELETE', target, { headers: signedHeaders(OPS, 'DELETE', target) })).status, 200);
+});
+
+for (const [name, values, message] of [
+  ['WEBHOOK_MAX_ATTEMPTS', ['0', '-1', 'many', '2.5'], 'a positive integer'],
+  ['WEBHOOK_TIMEOUT_MS', ['0', '-1', 'slow', '2.5'], 'a positive integer'],
+  ['WEBHOOK_BACKOFF_MS', ['-1', 'soon', '2.5'], 'a non-negative integer']
+]) {
+  for (const value of values) {
+    test(`the engine refuses to load with ${name}=${value}`, () => {
+      const child = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..', 'server-standalone.js'))})`], {
+        env: { ...process.env, ORDER_STORE: 'memory', [name]: value },
+        encoding: 'utf8',
+        timeout: 10000
+      });
+      assert.notEqual(child.status, 0);
+      assert.ok(child.stderr.includes(`${name} must be ${message}, got '${value}'`), child.stderr);
+    });
+  }
+}
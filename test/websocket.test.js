@@ -0,0 +1,130 @@
+/**
+ * WebSocket frame parser: masking, fragmentation, control frames and the close handshake
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { clientFrame, socketPair, frameReader } = require('./helpers');
+
+process.env.ORDER_STORE = 'memory';
+process.env.SNIPER_AUTO_LAUNCH = '0';
+console.log = () => {};
+const { WebSocketConnection, WS_OPCODES, WS_CLOSE_CODES } = require('../server-standalone.js');
+
+let pair;
+let ws;
+let reader;
+let messages;
+
+beforeEach(async () => {
+  pair = await socketPair();
+  ws = new WebSocketConnection(pair.server);
+  reader = frameReader(pair.client);
+  messages = [];
+  ws.on('message', (text) => messages.push(text));
+});
+
+afterEach(() => {
+  pair.client.destroy();
+  pair.server.destroy();
+  pair.close();
+});
+
+/**
+ * Wait for the close frame the server sends and return its status code
+ * @returns {Promise<number>} Close status code
+ */
+async function closeCode() {
+  const frame = await reader.next();
+  assert.equal(frame.opcode, WS_OPCODES.CLOSE);
+  return frame.payload.readUInt16BE(0);
+}
+
+/**
+ * Build a close frame payload
+ * @param {number} code - Close status code
+ * @returns {Buffer} Two-byte payload
+ */
+function closePayload(code) {
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code, 0);
+  return payload;
+}
+
+test('masked text frames are unmasked and emitted as messages', async () => {
+  pair.client.write(clientFrame(WS_OPCODES.TEXT, '{"hello":"world"}'));
+  pair.client.write(clientFrame(WS_OPCODES.TEXT, 'x'.repeat(300)));
+  await new Promise((resolve) => ws.on('message', () => messages.length === 2 && resolve()));
+  assert.deepEqual(messages, ['{"hello":"world"}', 'x'.repeat(300)]);
+});
+
+test('frames split across reads are reassembled', async () => {
+  const frame = clientFrame(WS_OPCODES.TEXT, 'split across packets');
+  pair.client.write(frame.subarray(0, 3));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  pair.client.write(frame.subarray(3));
+  await new Promise((resolve) => ws.once('message', resolve));
+  assert.deepEqual(messages, ['split across packets']);
+});
+
+test('fragmented messages are joined and pings between fragments are answered', async () => {
+  pair.client.write(clientFrame(WS_OPCODES.TEXT, 'frag', { fin: false }));
+  pair.client.write(clientFrame(WS_OPCODES.PING, 'are you there'));
+  pair.client.write(clientFrame(WS_OPCODES.CONTINUATION, 'men', { fin: false }));
+  pair.client.write(clientFrame(WS_OPCODES.CONTINUATION, 'ted'));
+
+  const pong = await reader.next();
+  assert.equal(pong.opcode, WS_OPCODES.PONG);
+  assert.equal(pong.payload.toString(), 'are you there');
+  await new Promise((resolve) => (messages.length > 0 ? resolve() : ws.once('message', resolve)));
+  assert.deepEqual(messages, ['fragmented']);
+});
+
+test('unmasked client frames fail the connection with 1002', async () => {
+  pair.client.write(clientFrame(WS_OPCODES.TEXT, 'plain', { masked: false }));
+  assert.equal(await closeCode(), WS_CLOSE_CODES.PROTOCOL_ERROR);
+  await reader.ended;
+  assert.deepEqual(messages, []);
+});
+
+const violations = [
+  ['continuation without a message', [clientFrame(WS_OPCODES.CONTINUATION, 'x')], WS_CLOSE_CODES.PROTOCOL_ERROR],
+  ['new message inside a fragmented one', [clientFrame(WS_OPCODES.TEXT, 'a', { fin: false }), clientFrame(WS_OPCODES.TEXT, 'b')], WS_CLOSE_CODES.PROTOCOL_ERROR],
+  ['fragmented control frame', [clientFrame(WS_OPCODES.PING, 'x', { fin: false })], WS_CLOSE_CODES.PROTOCOL_ERROR],
+  ['unknown opcode', [clientFrame(0x3, 'x')], WS_CLOSE_CODES.PROTOCOL_ERROR],
+  ['invalid UTF-8', [clientFrame(WS_OPCODES.TEXT, Buffer.from([0xc3, 0x28]))], WS_CLOSE_CODES.INVALID_PAYLOAD],
+  ['oversized message', [clientFrame(WS_OPCODES.TEXT, 'x'.repeat(64 * 1024 + 1))], WS_CLOSE_CODES.MESSAGE_TOO_BIG],
+  ['binary message', [clientFrame(WS_OPCODES.BINARY, 'x')], WS_CLOSE_CODES.UNSUPPORTED_DATA],
+  ['invalid close code', [clientFrame(WS_OPCODES.CLOSE, closePayload(1005))], WS_CLOSE_CODES.PROTOCOL_ERROR]
+];
+
+for (const [name, frames, expected] of violations) {
+  test(`${name} closes the connection with ${expected}`, async () => {
+    for (const frame of frames) pair.client.write(frame);
+    assert.equal(await closeCode(), expected);
+    assert.deepEqual(messages, []);
+  });
+}
+
+test('a client close is echoed with its status code and reported', async () => {
+  const closed = new Promise((resolve) => ws.on('close', (code, reason) => resolve({ code, reason })));
+  pair.client.write(clientFrame(WS_OPCODES.CLOSE, Buffer.concat([closePayload(4000), Buffer.from('bye')])));
+  assert.equal(await closeCode(), 4000);
+  pair.client.end();
+  assert.deepEqual(await closed, { code: 4000, reason: 'bye' });
+});
+
+test('a server close waits for the client to answer', async () => {
+  const closed = new Promise((resolve) => ws.on('close', (code) => resolve(code)));
+  ws.close(WS_CLOSE_CODES.GOING_AWAY, 'shutting down');
+  const frame = await reader.next();
+  assert.equal(frame.opcode, WS_OPCODES.CLOSE);
+  assert.equal(frame.payload.readUInt16BE(0), WS_CLOSE_CODES.GOING_AWAY);
+  assert.equal(frame.payload.subarray(2).toString(), 'shutting down');
+
+  // Messages after the close frame are no longer delivered
+  ws.send('late');
+  pair.client.write(clientFrame(WS_OPCODES.CLOSE, closePayload(WS_CLOSE_CODES.GOING_AWAY)));
+  assert.equal(await closed, WS_CLOSE_CODES.GOING_AWAY);
+  assert.equal(reader.frames.length, 1);
+});
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Local webhook receiver for the order execution engine
+ * Verifies signed deliveries, logs them and keeps them in memory so tests
+ * can read them back with GET /
+ * No external dependencies
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Server port configuration
+ * Uses WEBHOOK_RECEIVER_PORT environment variable or defaults to 3002
+ */
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT || '3002', 10);
+
+/**
+ * Secret the engine signs deliveries with (its WEBHOOK_SECRET, or a global
+ * subscription's secret)
+ * Uses WEBHOOK_SECRET environment variable; unset means signatures are not checked
+ */
+const SECRET = process.env.WEBHOOK_SECRET;
+
+/**
+ * Share of deliveries answered with 500, to exercise the engine's retries
+ * Uses WEBHOOK_RECEIVER_FAIL_RATE environment variable or defaults to 0
+ */
+const FAIL_RATE = parseFloat(process.env.WEBHOOK_RECEIVER_FAIL_RATE || '0');
+
+/**
+ * Largest accepted difference between a delivery's X-Timestamp and the local clock
+ * Older deliveries are refused, so a captured request cannot be replayed later
+ * Uses WEBHOOK_RECEIVER_MAX_SKEW_MS environment variable or defaults to 30000
+ */
+const MAX_SKEW_MS = parseInt(process.env.WEBHOOK_RECEIVER_MAX_SKEW_MS || '30000', 10);
+
+/**
+ * Every accepted delivery, oldest first
+ */
+const received = [];
+
+/**
+ * Check a delivery's X-Timestamp and X-Signature headers
+ * The signature is compared in constant time; the timestamp must be within MAX_SKEW_MS
+ * @param {http.IncomingMessage} req - Delivery request
+ * @param {string} body - Raw request body
+ * @returns {string|null} Why the delivery is refused, or null when it checks out (or no secret is configured)
+ */
+function verify(req, body) {
+  if (!SECRET) return null;
+  const timestamp = Number(req.headers['x-timestamp']);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > MAX_SKEW_MS) {
+    return 'stale or missing timestamp';
+  }
+  const expected = crypto.createHmac('sha256', SECRET).update(`${req.headers['x-timestamp']}${body}`).digest();
+  const given = Buffer.from(String(req.headers['x-signature'] || ''), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? null : 'bad signature';
+}
+
+/**
+ * HTTP Server accepting webhook deliveries
+ *
+ * - POST any path - Delivery; 401 on a bad signature or stale timestamp, 500 for simulated failures
+ * - GET / - Deliveries received so far
+ * - DELETE / - Forget them
+ */
+const server = http.createServer((req, res) => {
+  const reply = (statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (req.method === 'GET') {
+    reply(200, { received });
+    return;
+  }
+  if (req.method === 'DELETE') {
+    received.length = 0;
+    reply(200, { cleared: true });
+    return;
+  }
+
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const id = req.headers['x-webhook-id'];
+    const attempt = req.headers['x-webhook-attempt'];
+    const refused = verify(req, body);
+    if (refused) {
+      console.log(`❌ #${id} rejected: ${refused}`);
+      reply(401, { error: `Invalid delivery: ${refused}` });
+      return;
+    }
+    if (Math.random() < FAIL_RATE) {
+      console.log(`💥 #${id} failed on purpose (attempt ${attempt})`);
+      reply(500, { error: 'Simulated failure' });
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch (err) {
+      reply(400, { error: 'Invalid JSON' });
+      return;
+    }
+    received.push({ id, attempt: Number(attempt), path: req.url, event });
+    console.log(`📨 #${id} [${String(event.orderId).substring(0, 12)}] ${event.status} (seq ${event.seq}, attempt ${attempt})`);
+    reply(200, { received: true });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`📮 Webhook receiver listening on http://localhost:${PORT}`);
+  console.log(`   Signatures: ${SECRET ? `verified with WEBHOOK_SECRET, timestamps within ${MAX_SKEW_MS}ms` : 'not checked (set WEBHOOK_SECRET)'}`);
+  if (FAIL_RATE > 0) console.log(`   Failing ${(FAIL_RATE * 100).toFixed(0)}% of deliveries`);
+});